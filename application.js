@@ -1,4 +1,5 @@
 const Clutter = imports.gi.Clutter;
+const GLib = imports.gi.GLib;
 const Main = imports.ui.main;
 const Meta = imports.gi.Meta;
 const Settings = imports.ui.settings;
@@ -8,8 +9,15 @@ const St = imports.gi.St;
 const { DefaultColors } = require('./drawing');
 const { GridEditor } = require('./grid-editor');
 const { LayoutIO } = require('./io-utils');
-const { LayoutNode } = require('./node_tree');
+const { LinkedResizer } = require('./linked-resizer');
+const { PlacementRules } = require('./placement-rules');
+const { LayoutVariant, getLayoutVariant, getMonitorIdentities } = require('./monitor-utils');
+const { Direction, LayoutNode, boundingRect, rectsEqual } = require('./node_tree');
+const { RegionPicker } = require('./region-picker');
+const { StackIndicator } = require('./stack-indicator');
 const { WindowSnapper } = require('./window-snapper');
+const { WindowTracker } = require('./window-tracker');
+const { getUsableScreenArea, snapToRect } = require('./window-utils');
 
 // a hardcoded layout for 2x2 layout as default
 const LayoutOf2x2 = new LayoutNode(0, [
@@ -54,6 +62,111 @@ const LayoutOf2x3 = new LayoutNode(0, [
     ])
 ]);
 
+// the default layout for monitors in portrait orientation
+const LayoutOf1x2 = new LayoutNode(0, [
+    new LayoutNode(-0.5), new LayoutNode(0)
+]);
+
+// the default layout for ultrawide monitors
+const LayoutOf3x1 = new LayoutNode(0, [
+    new LayoutNode(1 / 3), new LayoutNode(2 / 3), new LayoutNode(0)
+]);
+
+function defaultLayoutForVariant(variant) {
+    switch (variant) {
+        case LayoutVariant.PORTRAIT:
+            return LayoutOf1x2.clone();
+        case LayoutVariant.ULTRAWIDE:
+            return LayoutOf3x1.clone();
+        default:
+            return LayoutOf2x2.clone();
+    }
+}
+
+// the delay to let a burst of monitor changes settle down, in milliseconds
+const MonitorsChangedDelay = 500;
+
+// how long placement rules on the title are checked again while a new window sets its title, in milliseconds
+const TitleRulesDelay = 5000;
+
+// the hotkeys to move the focused window to a neighbouring region
+const MoveHotkeys = [
+    { name: 'fancytiles-move-left', setting: 'moveLeftHotkey', direction: Direction.LEFT },
+    { name: 'fancytiles-move-right', setting: 'moveRightHotkey', direction: Direction.RIGHT },
+    { name: 'fancytiles-move-up', setting: 'moveUpHotkey', direction: Direction.UP },
+    { name: 'fancytiles-move-down', setting: 'moveDownHotkey', direction: Direction.DOWN }
+];
+
+// the built-in tiling keybindings that tile within a virtual monitor while the focused window is in one
+const TileKeybindings = [
+    { name: 'push-tile-left', direction: Direction.LEFT },
+    { name: 'push-tile-right', direction: Direction.RIGHT },
+    { name: 'push-tile-up', direction: Direction.UP },
+    { name: 'push-tile-down', direction: Direction.DOWN }
+];
+
+// the half of the rectangle on the side of the direction
+function halfRect(rect, direction) {
+    const halfWidth = Math.round(rect.width / 2);
+    const halfHeight = Math.round(rect.height / 2);
+    switch (direction) {
+        case Direction.LEFT:
+            return { x: rect.x, y: rect.y, width: halfWidth, height: rect.height };
+        case Direction.RIGHT:
+            return { x: rect.x + halfWidth, y: rect.y, width: rect.width - halfWidth, height: rect.height };
+        case Direction.UP:
+            return { x: rect.x, y: rect.y, width: rect.width, height: halfHeight };
+        case Direction.DOWN:
+            return { x: rect.x, y: rect.y + halfHeight, width: rect.width, height: rect.height - halfHeight };
+    }
+}
+
+function oppositeDirection(direction) {
+    switch (direction) {
+        case Direction.LEFT:
+            return Direction.RIGHT;
+        case Direction.RIGHT:
+            return Direction.LEFT;
+        case Direction.UP:
+            return Direction.DOWN;
+        case Direction.DOWN:
+            return Direction.UP;
+    }
+}
+
+function mapDirectionToDisplayDirection(direction) {
+    switch (direction) {
+        case Direction.LEFT:
+            return Meta.DisplayDirection.LEFT;
+        case Direction.RIGHT:
+            return Meta.DisplayDirection.RIGHT;
+        case Direction.UP:
+            return Meta.DisplayDirection.UP;
+        case Direction.DOWN:
+            return Meta.DisplayDirection.DOWN;
+    }
+}
+
+// parse the workspace groups setting, e.g. "coding: 1, 2, 3; comms: 4", 
+// into a map of workspace numbers (starting at 1) to group names
+function parseWorkspaceGroups(workspaceGroupsSetting) {
+    const groups = new Map();
+    for (let group of (workspaceGroupsSetting || '').split(';')) {
+        const [name, workspaceNumbers] = group.split(':');
+        if (!name || !name.trim() || !workspaceNumbers) {
+            continue;
+        }
+
+        for (let workspaceNumber of workspaceNumbers.split(',')) {
+            const number = parseInt(workspaceNumber);
+            if (!isNaN(number)) {
+                groups.set(number, name.trim());
+            }
+        }
+    }
+    return groups;
+}
+
 function getFocusedDisplay() {
     let focusWindow = global.display.focus_window;
     if (!focusWindow) {
@@ -99,17 +212,74 @@ class Application {
     // the active grid editor
     #gridEditor = null;
 
+    // the layout being edited and the copy the editor works on, the
+    // layout only changes when the edits are applied
+    #editedLayout = null;
+    #editedLayoutCopy = null;
+
+    // the display and workspace of the edited layout
+    #editedDisplayIdx = null;
+    #editedWorkspace = null;
+
+    // the active region picker
+    #regionPicker = null;
+
     // the active window snappers for each monitor
     #windowSnappers = [];
 
+    // the frame rectangle of the window being moved at the start of the move
+    #grabStartRect = null;
+
+    // keeps the layout in sync with a snapped window that is being resized
+    #linkedResizer = null;
+
+    // the windows that are snapped into a region
+    #windowTracker = new WindowTracker(() => this.#onTrackedWindowsChanged());
+
+    // the indicators for regions with multiple windows stacked, by region
+    #stackIndicators = new Map();
+
     #layoutIO;
 
-    // the layout trees for each display
+    // the layout trees for each layout key, i.e. for each display and for each 
+    // workspace with its own layout. null for workspaces without a layout of their own
     #layouts = {};
 
     // the layout trees for each preset
     #presets = null;
 
+    // the stable identities of the monitors by monitor index, null until queried and while the monitors change
+    #monitorIdentities = null;
+
+    // the monitor layout keys that the layouts saved by display index were migrated to
+    #migratedMonitorKeys = new Set();
+
+    // the timeout to handle monitor changes once they settle down and whether the
+    // monitors changed since, rather than only their work areas
+    #monitorsChangedTimeoutId = 0;
+    #hasPendingMonitorsChange = false;
+
+    // the rules to place new windows and the monitor to reload them when they change
+    #placementRules;
+    #placementRulesMonitor;
+
+    // the new windows whose title is watched for placement rules, mapped to the timeout to stop watching
+    #titleWatchTimeoutIds = new Map();
+
+    // the idle sources that handle windows once the window manager is done with them
+    #idleSourceIds = new Set();
+
+    // the windows that were maximized into their region, mapped to the rectangle they got.
+    // maximizing them once more maximizes them to the whole display
+    #regionMaximizedRects = new WeakMap();
+
+    // the windows tiled within a virtual monitor, mapped to the half they were tiled to and the rectangle they got
+    #virtualMonitorTiles = new WeakMap();
+
+    // the focused window, the tiling keybindings tile within virtual monitors while it is in one
+    #focusedWindow = null;
+    #isVirtualMonitorTilingEnabled = false;
+
     #signals = new SignalManager.SignalManager(null);
 
     #settings;
@@ -119,17 +289,66 @@ class Application {
     constructor(uuid) {
         this.#layoutIO = new LayoutIO(uuid);
         this.#connectWindowGrabs();
+        this.#connectMonitorChanges();
+
+        // windows snapped before the monitors are identified move on to the layouts of their monitors
+        this.#queryMonitorIdentities(this.#applyMonitorChanges.bind(this));
+        this.#loadPlacementRules();
+        this.#placementRulesMonitor = this.#layoutIO.monitorRules(this.#loadPlacementRules.bind(this));
+        this.#connectNewWindows();
+        this.#connectMaximize();
 
         this.#settings = new Settings.ExtensionSettings(this, uuid);
         this.#settings.bindProperty(Settings.BindingDirection.IN, 'hotkey', 'hotkey', this.#enableHotkey);
         this.#settings.bindProperty(Settings.BindingDirection.IN, 'borderColor', 'borderColor', this.#loadThemeColors.bind(this));
 
+        this.#settings.bindProperty(Settings.BindingDirection.IN, 'regionPickerHotkey', 'regionPickerHotkey', this.#enableRegionPickerHotkey.bind(this));
+        this.#settings.bindProperty(Settings.BindingDirection.IN, 'fillLayoutHotkey', 'fillLayoutHotkey', this.#enableFillLayoutHotkey.bind(this));
+        this.#settings.bindProperty(Settings.BindingDirection.IN, 'cycleStackHotkey', 'cycleStackHotkey', this.#enableCycleStackHotkey.bind(this));
+        this.#settings.bindProperty(Settings.BindingDirection.IN, 'showStackIndicator', 'showStackIndicator', this.#updateStackIndicators.bind(this));
+        this.#settings.bindProperty(Settings.BindingDirection.IN, 'autoExpand', 'autoExpand', () => this.#resnapWindows());
+        this.#settings.bindProperty(Settings.BindingDirection.IN, 'virtualMonitors', 'virtualMonitors', this.#updateVirtualMonitorTiling.bind(this));
+        for (let moveHotkey of MoveHotkeys) {
+            this.#settings.bindProperty(Settings.BindingDirection.IN, moveHotkey.setting, moveHotkey.setting, this.#enableMoveHotkeys.bind(this));
+        }
+
         this.#loadThemeColors();
         this.#enableHotkey();
+        this.#enableRegionPickerHotkey();
+        this.#enableCycleStackHotkey();
+        this.#enableFillLayoutHotkey();
+        this.#enableMoveHotkeys();
+        this.#connectFocusedWindow();
+        this.#connectStackChanges();
     }
 
     destroy() {
+        if (this.#monitorsChangedTimeoutId) {
+            GLib.source_remove(this.#monitorsChangedTimeoutId);
+            this.#monitorsChangedTimeoutId = 0;
+        }
+
+        this.#placementRulesMonitor.cancel();
+        this.#placementRulesMonitor = null;
+
+        for (let timeoutId of this.#titleWatchTimeoutIds.values()) {
+            GLib.source_remove(timeoutId);
+        }
+        this.#titleWatchTimeoutIds.clear();
+
+        for (let sourceId of this.#idleSourceIds) {
+            GLib.source_remove(sourceId);
+        }
+        this.#idleSourceIds.clear();
+
         this.#disableHotkey();
+        this.#disableRegionPickerHotkey();
+        this.#disableCycleStackHotkey();
+        this.#disableFillLayoutHotkey();
+        this.#disableMoveHotkeys();
+        if (this.#isVirtualMonitorTilingEnabled) {
+            this.#disableVirtualMonitorTiling();
+        }
         this.#signals.disconnectAllSignals();
         this.#signals = null;
 
@@ -138,11 +357,29 @@ class Application {
             this.#gridEditor = null;
         }
 
+        if (this.#regionPicker) {
+            this.#regionPicker.destroy();
+            this.#regionPicker = null;
+        }
+
         // Destroy all window snappers
         for (let snapper of this.#windowSnappers) {
             snapper.destroy();
         }
         this.#windowSnappers = [];
+
+        if (this.#linkedResizer) {
+            this.#linkedResizer.destroy();
+            this.#linkedResizer = null;
+        }
+
+        this.#windowTracker.destroy();
+        this.#windowTracker = null;
+
+        for (let indicator of this.#stackIndicators.values()) {
+            indicator.destroy();
+        }
+        this.#stackIndicators.clear();
     }
 
     #loadThemeColors() {
@@ -203,16 +440,372 @@ class Application {
         Main.keybindingManager.addHotKey('fancytiles', this.#settings.settingsData.hotkey.value, this.#toggleEditor.bind(this));
     }
 
-    #saveLayouts() {
-        for (let key in this.#layouts) {
-            this.#layoutIO.saveLayoutForDisplay(key, this.#layouts[key]);
+    #disableRegionPickerHotkey() {
+        Main.keybindingManager.removeHotKey('fancytiles-region-picker');
+    }
+
+    #enableRegionPickerHotkey() {
+        this.#disableRegionPickerHotkey();
+        Main.keybindingManager.addHotKey('fancytiles-region-picker', this.#settings.settingsData.regionPickerHotkey.value, this.#openRegionPicker.bind(this));
+    }
+
+    // show the numbered regions of the focused display to pick a region for the focused window
+    #openRegionPicker() {
+        if (this.#regionPicker || this.#gridEditor) {
+            return;
+        }
+
+        const window = global.display.focus_window;
+        if (!window || window.window_type !== Meta.WindowType.NORMAL) {
+            return;
         }
+
+        const displayIdx = window.get_monitor();
+        const layout = this.#readOrCreateLayoutForWorkspace(displayIdx, window.get_workspace());
+        this.#regionPicker = new RegionPicker(
+            displayIdx,
+            layout,
+            this.#colors,
+            (leaf) => this.#snapWindow(window, displayIdx, layout, [leaf]),
+            this.#closeRegionPicker.bind(this)
+        );
+    }
+
+    #closeRegionPicker() {
+        if (this.#regionPicker) {
+            this.#regionPicker.destroy();
+            this.#regionPicker = null;
+        }
+    }
+
+    #disableCycleStackHotkey() {
+        Main.keybindingManager.removeHotKey('fancytiles-cycle-stack');
+    }
+
+    #enableCycleStackHotkey() {
+        this.#disableCycleStackHotkey();
+        Main.keybindingManager.addHotKey('fancytiles-cycle-stack', this.#settings.settingsData.cycleStackHotkey.value, this.#cycleStack.bind(this));
+    }
+
+    // the windows stacked in the region that are visible on the active workspace
+    #visibleWindowsInRegion(node) {
+        const activeWorkspace = global.workspace_manager.get_active_workspace();
+        return this.#windowTracker.windowsInRegion(node)
+            .filter(window => !window.minimized && window.located_on_workspace(activeWorkspace));
+    }
+
+    // raise the next window in the stack of the region the focused window is snapped into
+    #cycleStack() {
+        const window = global.display.focus_window;
+        const entry = window && this.#windowTracker.get(window);
+        if (!entry) {
+            return;
+        }
+
+        const stack = this.#visibleWindowsInRegion(entry.nodes[0]);
+        if (stack.length < 2) {
+            return;
+        }
+
+        const next = stack[(stack.indexOf(window) + 1) % stack.length];
+        Main.activateWindow(next);
+    }
+
+    #connectStackChanges() {
+        this.#signals.connect(global.display, 'restacked', this.#updateStackIndicators.bind(this));
+        this.#signals.connect(global.workspace_manager, 'active-workspace-changed', this.#updateStackIndicators.bind(this));
+    }
+
+    // show an indicator in each region that has more than one window stacked. the indicators
+    // of regions that still have a stack are kept and updated
+    #updateStackIndicators() {
+        const stackedRegions = new Set();
+
+        if (this.#windowTracker && this.#settings.settingsData.showStackIndicator.value) {
+            const regions = new Set(this.#windowTracker.entries().flatMap(entry => entry.nodes));
+            for (let region of regions) {
+                const stack = this.#visibleWindowsInRegion(region);
+                if (stack.length < 2) {
+                    continue;
+                }
+
+                // the window on top of the others is the active one
+                const sortedByStacking = global.display.sort_windows_by_stacking(stack);
+                const activeIdx = stack.indexOf(sortedByStacking[sortedByStacking.length - 1]);
+
+                const indicator = this.#stackIndicators.get(region);
+                if (indicator) {
+                    indicator.update(region.snapRect(), stack.length, activeIdx);
+                } else {
+                    this.#stackIndicators.set(region, new StackIndicator(region.snapRect(), stack.length, activeIdx, this.#colors));
+                }
+                stackedRegions.add(region);
+            }
+        }
+
+        for (let [region, indicator] of this.#stackIndicators) {
+            if (!stackedRegions.has(region)) {
+                indicator.destroy();
+                this.#stackIndicators.delete(region);
+            }
+        }
+    }
+
+    #disableFillLayoutHotkey() {
+        Main.keybindingManager.removeHotKey('fancytiles-fill-layout');
+    }
+
+    #enableFillLayoutHotkey() {
+        this.#disableFillLayoutHotkey();
+        Main.keybindingManager.addHotKey('fancytiles-fill-layout', this.#settings.settingsData.fillLayoutHotkey.value, () => {
+            const displayIdx = getFocusedDisplay();
+            this.#fillLayout(
+                typeof displayIdx === 'number' ? displayIdx : global.display.get_current_monitor(),
+                global.workspace_manager.get_active_workspace());
+        });
+    }
+
+    // snap all normal windows of the workspace on the display into the regions of the layout.
+    // windows go to the region they overlap most, surplus windows are stacked
+    #fillLayout(displayIdx, workspace) {
+        const layout = this.#layoutWithRectsForDisplay(displayIdx, workspace);
+
+        // the windows on top get a region of their own first
+        const windows = global.display.sort_windows_by_stacking(workspace.list_windows()
+            .filter(window => window.window_type === Meta.WindowType.NORMAL
+                && !window.minimized
+                && !window.skip_taskbar
+                && window.get_monitor() === displayIdx))
+            .reverse();
+
+        const leaves = layout.distributeRects(windows.map(window => window.get_frame_rect()));
+        windows.forEach((window, i) => this.#snapWindow(window, displayIdx, layout, [leaves[i]]));
+    }
+
+    #disableMoveHotkeys() {
+        for (let moveHotkey of MoveHotkeys) {
+            Main.keybindingManager.removeHotKey(moveHotkey.name);
+        }
+    }
+
+    #enableMoveHotkeys() {
+        this.#disableMoveHotkeys();
+        for (let moveHotkey of MoveHotkeys) {
+            Main.keybindingManager.addHotKey(
+                moveHotkey.name,
+                this.#settings.settingsData[moveHotkey.setting].value,
+                () => this.#moveFocusedWindow(moveHotkey.direction));
+        }
+    }
+
+    // move the focused window to the neighbouring region in the given direction,
+    // continuing on the layout of the next display at the edge of a display
+    #moveFocusedWindow(direction) {
+        const window = global.display.focus_window;
+        if (!window || window.window_type !== Meta.WindowType.NORMAL) {
+            return;
+        }
+
+        const displayIdx = window.get_monitor();
+        const layout = this.#layoutWithRectsForDisplay(displayIdx, window.get_workspace());
+        const frameRect = window.get_frame_rect();
+
+        // a window that is not snapped yet is first snapped into the region it is in
+        const entry = this.#windowTracker.get(window);
+        const isSnapped = entry !== null && entry.layout === layout;
+        const currentLeaf = layout.findLeafWithLargestOverlap(frameRect);
+        if (!isSnapped && currentLeaf) {
+            this.#snapWindow(window, displayIdx, layout, [currentLeaf]);
+            return;
+        }
+
+        // a snapped window moves from its regions, which it may not fill exactly, e.g. a terminal
+        const currentRect = isSnapped ? boundingRect(entry.nodes.map(n => n.rect)) : frameRect;
+
+        let destinationIdx = displayIdx;
+        let destinationLayout = layout;
+        let destination = layout.findNeighbourLeaf(currentRect, direction);
+        if (!destination) {
+            const neighbourIdx = global.display.get_monitor_neighbor_index(displayIdx, mapDirectionToDisplayDirection(direction));
+            if (neighbourIdx < 0) {
+                return;
+            }
+
+            const horizontal = direction === Direction.LEFT || direction === Direction.RIGHT;
+            const position = horizontal ? currentRect.y + currentRect.height / 2 : currentRect.x + currentRect.width / 2;
+            destinationIdx = neighbourIdx;
+            destinationLayout = this.#layoutWithRectsForDisplay(neighbourIdx, window.get_workspace());
+            destination = destinationLayout.findLeafAtEdge(direction, position);
+        }
+
+        if (destination) {
+            this.#snapWindow(window, destinationIdx, destinationLayout, [destination]);
+        }
+    }
+
+    // snap the window into the leaf nodes of the layout and remember its size from before it was snapped
+    #snapWindow(window, displayIdx, layout, nodes) {
+        const entry = this.#windowTracker.track(window, window.get_frame_rect(), layout, displayIdx, nodes);
+        this.#snapToRegion(entry);
+    }
+
+    // snap the window of the tracking entry into its region, grown into empty neighbouring regions
+    // when auto-expand is enabled. the regions it covers are remembered as the entry's regionNodes
+    #snapToRegion(entry) {
+        entry.regionNodes = this.#regionNodes(entry);
+        snapToRect(entry.window, boundingRect(entry.regionNodes.map(n => n.snapRect())), this.#settings.settingsData.snapAlignment.value);
+    }
+
+    // the leaf nodes the window of the tracking entry covers. with auto-expand, a window alone in its
+    // region also covers the empty leaves next to it under the same parent. empty leaves between two
+    // windows go to the window before them, unless that window cannot expand, e.g. when it is stacked.
+    #regionNodes(entry) {
+        const node = entry.nodes[0];
+        if (!this.#settings.settingsData.autoExpand.value || entry.nodes.length !== 1 || node.isRoot()) {
+            return entry.nodes;
+        }
+
+        const workspace = entry.window.get_workspace() || global.workspace_manager.get_active_workspace();
+        const windowsOnWorkspace = (n) => this.#windowTracker.windowsInRegion(n)
+            .filter(window => window.located_on_workspace(workspace));
+        if (windowsOnWorkspace(node).length > 1) {
+            // stacked windows keep to their region
+            return entry.nodes;
+        }
+
+        const isEmptyLeaf = (n) => n.isLeaf() && windowsOnWorkspace(n).length === 0;
+        const canExpand = (n) => {
+            const windows = windowsOnWorkspace(n);
+            return windows.length === 1 && this.#windowTracker.get(windows[0]).nodes.length === 1;
+        };
+
+        const siblings = node.parent.children;
+        const idx = siblings.indexOf(node);
+
+        let first = idx;
+        while (first > 0 && isEmptyLeaf(siblings[first - 1])) {
+            first--;
+        }
+        if (first > 0 && siblings[first - 1].isLeaf() && canExpand(siblings[first - 1])) {
+            // the window in the region before the empty leaves grows into them
+            first = idx;
+        }
+
+        let last = idx;
+        while (last < siblings.length - 1 && isEmptyLeaf(siblings[last + 1])) {
+            last++;
+        }
+
+        return siblings.slice(first, last + 1);
+    }
+
+    // grow or shrink the snapped windows after regions have been vacated or taken. windows 
+    // that are being tracked anew are left to be snapped by whoever tracks them
+    #expandWindows() {
+        if (!this.#settings.settingsData.autoExpand.value) {
+            return;
+        }
+
+        for (let entry of this.#windowTracker.entries()) {
+            if (!entry.regionNodes) {
+                continue;
+            }
+
+            const nodes = this.#regionNodes(entry);
+            if (nodes.length !== entry.regionNodes.length
+                || nodes.some((n, i) => n !== entry.regionNodes[i])) {
+                this.#snapToRegion(entry);
+            }
+        }
+    }
+
+    #onTrackedWindowsChanged() {
+        this.#expandWindows();
+        this.#updateStackIndicators();
+    }
+
+    // snap all snapped windows again to their regions, e.g. after the layout is edited. 
+    // regions that are no longer in the layout, e.g. because the layout took over the nodes
+    // of an edited copy, are replaced by the regions at their position.
+    // optionally only the windows of the given layout, except for excludedWindow.
+    #resnapWindows(layout = null, excludedWindow = null) {
+        for (let entry of this.#windowTracker.entries()) {
+            if ((layout && entry.layout !== layout) || entry.window === excludedWindow) {
+                continue;
+            }
+
+            const workArea = getUsableScreenArea(entry.displayIdx);
+            entry.layout.calculateRects(workArea.x, workArea.y, workArea.width, workArea.height);
+            entry.nodes = this.#currentRegionNodes(entry);
+
+            this.#snapToRegion(entry);
+        }
+
+        this.#updateStackIndicators();
+    }
+
+    // the leaves of the layout that the window of the tracking entry is snapped into. nodes that
+    // left the layout still have the rectangles they had in it, so they are replaced by the leaves
+    // at the centers of those rectangles. windows spanning regions keep spanning the leaves between
+    #currentRegionNodes(entry) {
+        const leaves = entry.layout.leaves();
+        const nodes = [];
+        for (let node of entry.nodes) {
+            const leaf = leaves.includes(node)
+                ? node
+                : entry.layout.findNodeAtPosition(node.rect.x + node.rect.width / 2, node.rect.y + node.rect.height / 2);
+            if (leaf && !nodes.includes(leaf)) {
+                nodes.push(leaf);
+            }
+        }
+
+        if (nodes.length === 0) {
+            return [entry.layout.findClosestLeaf(entry.window.get_frame_rect())];
+        }
+        return nodes.length > 1 ? entry.layout.findLeavesSpanning(nodes[0], nodes[nodes.length - 1]) : nodes;
+    }
+
+    // give a snapped window its pre-snap size back, centered on the pointer
+    #restoreOriginalSize(window) {
+        const entry = this.#windowTracker.get(window);
+        this.#windowTracker.untrack(window);
+
+        const [x, y] = global.get_pointer();
+        const { width, height } = entry.originalRect;
+        window.move_resize_frame(
+            false,
+            Math.round(x - width / 2), Math.round(y - height / 2),
+            width, height);
+    }
+
+    // the layout for the workspace on the display with the rectangles calculated for its current work area
+    #layoutWithRectsForDisplay(displayIdx, workspace) {
+        const layout = this.#readOrCreateLayoutForWorkspace(displayIdx, workspace);
+        const workArea = getUsableScreenArea(displayIdx);
+        layout.calculateRects(workArea.x, workArea.y, workArea.width, workArea.height);
+        return layout;
+    }
+
+    #saveLayouts() {
+        this.#saveDisplayLayouts();
+        this.#savePresets();
+    }
+
+    #savePresets() {
         // save user presets
         for (let i = 0; i < 4; i++) {
             this.#layoutIO.saveLayoutForPreset(i, this.#presets[i]);
         }
     }
 
+    #saveDisplayLayouts() {
+        for (let key in this.#layouts) {
+            if (this.#layouts[key] && !this.#isSupersededDisplayKey(key)) {
+                this.#layoutIO.saveLayout(key, this.#layouts[key]);
+            }
+        }
+    }
+
     #toggleEditor() {
         if (this.#gridEditor) {
             this.#closeEditor();
@@ -240,64 +833,621 @@ class Application {
     }
 
     #openEditor() {
+        this.#closeRegionPicker();
+
         const displayIdx = getFocusedDisplay();
         if (typeof displayIdx !== 'number') {
             global.logError('No focused display');
             return;
         }
 
-        let layout = this.#readOrCreateLayoutForDisplay(displayIdx);
+        // a workspace without a layout of its own edits the display layout until the edits are applied
+        const workspace = global.workspace_manager.get_active_workspace();
+        let layout = this.#readOrCreateLayoutForWorkspace(displayIdx, workspace);
 
         if (!this.#presets || this.#presets.length === 0) {
             this.#loadPresets();
         }
 
+        this.#editedLayout = layout;
+        this.#editedLayoutCopy = layout.clone();
+        this.#editedDisplayIdx = displayIdx;
+        this.#editedWorkspace = workspace;
+
         this.#gridEditor = new GridEditor(
             displayIdx,
-            layout,
+            this.#editedLayoutCopy,
             this.#colors,
             this.#closeEditor.bind(this),
-            this.#presets
+            this.#presets,
+            () => {
+                this.#closeEditor(true);
+                this.#fillLayout(displayIdx, workspace);
+            }
         );
     }
 
-    #closeEditor() {
-        if (this.#gridEditor) {
-            this.#gridEditor.destroy();
-            this.#gridEditor = null;
+    // close the editor and apply the edits to the layout, or discard them.
+    // the presets are saved either way
+    #closeEditor(apply = true) {
+        if (!this.#gridEditor) {
+            return;
+        }
+
+        this.#gridEditor.destroy();
+        this.#gridEditor = null;
+
+        if (apply) {
+            // applying the edits gives a workspace without a layout of its own one
+            const layout = this.#readOrCreateLayoutForWorkspace(this.#editedDisplayIdx, this.#editedWorkspace, true);
+            if (layout !== this.#editedLayout) {
+                this.#moveWorkspaceWindowsToLayout(this.#editedLayout, layout, this.#editedWorkspace);
+            }
+
+            // the layout takes over the nodes of the copy, the snapped windows
+            // move to the regions at the position of their old regions
+            layout.revert(this.#editedLayoutCopy);
             this.#saveLayouts();
+            this.#resnapWindows(layout);
+        } else {
+            this.#savePresets();
+        }
+
+        this.#editedLayout = null;
+        this.#editedLayoutCopy = null;
+        this.#editedDisplayIdx = null;
+        this.#editedWorkspace = null;
+
+        this.#updateVirtualMonitorTiling();
+    }
+
+    // the snapped windows on the workspace move from the display layout to the new layout of the
+    // workspace. their nodes are of the display layout, so they move to the regions at their position
+    #moveWorkspaceWindowsToLayout(displayLayout, workspaceLayout, workspace) {
+        for (let entry of this.#windowTracker.entries()) {
+            if (entry.layout === displayLayout
+                && !entry.window.is_on_all_workspaces()
+                && entry.window.get_workspace() === workspace) {
+                entry.layout = workspaceLayout;
+            }
+        }
+    }
+
+    // the layout key of a display. displays are identified by their monitor identity, so 
+    // they keep their layout when the monitor indices change, e.g. when docking a laptop
+    #displayKey(displayIdx) {
+        const monitorIdentity = this.#monitorIdentities && this.#monitorIdentities[displayIdx];
+        if (!monitorIdentity) {
+            // fall back to the display index if the monitor cannot be identified (yet)
+            return this.#layoutIO.displayFileKey(displayIdx);
+        }
+
+        // layouts saved by display index before are taken over by the monitor
+        const monitorKey = this.#layoutIO.monitorFileKey(monitorIdentity);
+        if (!this.#migratedMonitorKeys.has(monitorKey)) {
+            this.#layoutIO.migrateLayouts(this.#layoutIO.displayFileKey(displayIdx), monitorKey);
+            this.#migratedMonitorKeys.add(monitorKey);
+        }
+        return monitorKey;
+    }
+
+    // query the identities of the monitors, onQueried is called once they are known
+    #queryMonitorIdentities(onQueried) {
+        getMonitorIdentities((identities) => {
+            if (!this.#windowTracker) {
+                // destroyed in the meantime
+                return;
+            }
+
+            this.#monitorIdentities = identities;
+
+            // the layouts read by display index in the meantime are read again by monitor,
+            // the tracked windows move on to those when the monitor changes are applied
+            for (let key of Object.keys(this.#layouts)) {
+                if (this.#isSupersededDisplayKey(key)) {
+                    delete this.#layouts[key];
+                }
+            }
+            onQueried();
+        });
+    }
+
+    // whether the layout key is by the index of a display that is (or may be) identified by its
+    // monitor. those layouts are never saved, or they would be migrated to another monitor later
+    #isSupersededDisplayKey(key) {
+        const displayIdx = this.#layoutIO.displayIndexOfKey(key);
+        return displayIdx !== -1 && (!this.#monitorIdentities || !!this.#monitorIdentities[displayIdx]);
+    }
+
+    #connectMonitorChanges() {
+        this.#signals.connect(Main.layoutManager, 'monitors-changed', () => this.#onMonitorsChanged(true));
+        this.#signals.connect(global.display, 'workareas-changed', () => this.#onMonitorsChanged(false));
+    }
+
+    // monitors are added, removed, rotated or changed resolution, or only their work areas
+    // changed, e.g. when a panel is resized. the changes come in bursts, so they are applied 
+    // once they settle down
+    #onMonitorsChanged(monitorsChanged) {
+        this.#hasPendingMonitorsChange = this.#hasPendingMonitorsChange || monitorsChanged;
+        if (monitorsChanged) {
+            // the monitor indices may have changed, the identities are unknown until queried again
+            this.#monitorIdentities = null;
+        }
+
+        if (this.#monitorsChangedTimeoutId) {
+            GLib.source_remove(this.#monitorsChangedTimeoutId);
         }
+        this.#monitorsChangedTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, MonitorsChangedDelay, () => {
+            this.#monitorsChangedTimeoutId = 0;
+
+            if (this.#hasPendingMonitorsChange) {
+                this.#hasPendingMonitorsChange = false;
+                this.#queryMonitorIdentities(() => this.#applyMonitorChanges(true));
+            } else {
+                this.#applyMonitorChanges(false);
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    // pick the layout of each display for the new geometry and move 
+    // the snapped windows to the equivalent regions on their display
+    #applyMonitorChanges(monitorsChanged = false) {
+        if (monitorsChanged) {
+            // the editor and picker cover the old geometry, the edits are discarded
+            this.#closeRegionPicker();
+            this.#closeEditor(false);
+        }
+
+        for (let entry of this.#windowTracker.entries()) {
+            const displayIdx = entry.window.get_monitor();
+            const layout = this.#readOrCreateLayoutForWorkspace(displayIdx, entry.window.get_workspace());
+
+            if (layout !== entry.layout) {
+                // the rectangles of the old layout are still relative to the old geometry
+                const oldArea = entry.layout.rect;
+                const oldRect = boundingRect(entry.nodes.map(n => n.rect));
+
+                const workArea = getUsableScreenArea(displayIdx);
+                layout.calculateRects(workArea.x, workArea.y, workArea.width, workArea.height);
+
+                const equivalentRect = {
+                    x: workArea.x + (oldRect.x - oldArea.x) / oldArea.width * workArea.width,
+                    y: workArea.y + (oldRect.y - oldArea.y) / oldArea.height * workArea.height,
+                    width: oldRect.width / oldArea.width * workArea.width,
+                    height: oldRect.height / oldArea.height * workArea.height
+                };
+
+                entry.layout = layout;
+                entry.nodes = [layout.findClosestLeaf(equivalentRect)];
+            }
+            entry.displayIdx = displayIdx;
+        }
+
+        if (this.#settings.settingsData.resnapOnMonitorChange.value) {
+            this.#resnapWindows();
+        } else {
+            this.#updateStackIndicators();
+        }
+    }
+
+    // the layout key of the display for its current geometry. landscape is the
+    // regular variant, other geometries like portrait have a layout of their own
+    #displayVariantKey(displayIdx) {
+        const displayKey = this.#displayKey(displayIdx);
+        const variant = getLayoutVariant(displayIdx);
+        return variant === LayoutVariant.LANDSCAPE ? displayKey : this.#layoutIO.variantFileKey(displayKey, variant);
     }
 
     // read the layout from the configuration file, or set the default
-    #readOrCreateLayoutForDisplay(displayIdx, defaultLayout = LayoutOf2x2.clone()) {
-        if (this.#layouts[displayIdx]) {
-            return this.#layouts[displayIdx];
+    #readOrCreateLayoutForDisplay(displayIdx, defaultLayout = defaultLayoutForVariant(getLayoutVariant(displayIdx))) {
+        const key = this.#displayVariantKey(displayIdx);
+        if (this.#layouts[key]) {
+            return this.#layouts[key];
         }
 
-        let tree = this.#layoutIO.loadLayoutForDisplay(displayIdx);
+        let tree = this.#layoutIO.loadLayout(key);
         if (!tree) {
             tree = defaultLayout;
         }
-        this.#layouts[displayIdx] = tree;
+        this.#layouts[key] = tree;
         return tree;
     }
 
+    // the layout of the workspace on the display when layouts per workspace are enabled.
+    // a workspace without a layout of its own uses the layout of the display, unless
+    // createIfMissing is set, then it gets its own copy of the display layout
+    #readOrCreateLayoutForWorkspace(displayIdx, workspace, createIfMissing = false) {
+        if (!this.#settings.settingsData.perWorkspaceLayouts.value || !workspace) {
+            // windows on all workspaces use the display layout as well
+            return this.#readOrCreateLayoutForDisplay(displayIdx);
+        }
+
+        const key = this.#layoutIO.workspaceFileKey(this.#displayVariantKey(displayIdx), this.#workspaceKey(workspace));
+        if (!(key in this.#layouts)) {
+            this.#layouts[key] = this.#layoutIO.hasLayout(key) ? this.#layoutIO.loadLayout(key) : null;
+        }
+
+        if (!this.#layouts[key] && createIfMissing) {
+            this.#layouts[key] = this.#readOrCreateLayoutForDisplay(displayIdx).clone();
+        }
+
+        return this.#layouts[key] || this.#readOrCreateLayoutForDisplay(displayIdx);
+    }
+
+    // workspaces in the same group share their layout, other workspaces have their own
+    #workspaceKey(workspace) {
+        const workspaceNumber = workspace.index() + 1;
+        const groupName = parseWorkspaceGroups(this.#settings.settingsData.workspaceGroups.value).get(workspaceNumber);
+        return groupName ? `group-${groupName}` : `workspace-${workspaceNumber}`;
+    }
+
+    #loadPlacementRules() {
+        this.#placementRules = new PlacementRules(this.#layoutIO.loadRules());
+    }
+
+    #connectNewWindows() {
+        this.#signals.connect(global.display, 'window-created', (display, window) => {
+            // let the window finish mapping before placing it
+            this.#runWhenIdle(() => {
+                if (window.get_compositor_private()) {
+                    this.#placeNewWindow(window);
+                }
+            });
+        });
+    }
+
+    // run the callback once the main loop is idle, unless the application is destroyed before
+    #runWhenIdle(callback) {
+        const sourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this.#idleSourceIds.delete(sourceId);
+            callback();
+            return GLib.SOURCE_REMOVE;
+        });
+        this.#idleSourceIds.add(sourceId);
+    }
+
+    // snap a new window into the region of the placement rule it matches, or
+    // into the next free region when automatic placement is enabled
+    #placeNewWindow(window) {
+        if (window.window_type !== Meta.WindowType.NORMAL) {
+            return;
+        }
+
+        const rule = this.#placementRules.findRule(window);
+        if (rule) {
+            this.#placeByRule(window, rule);
+            return;
+        }
+
+        if (!this.#autoPlaceWindow(window)) {
+            this.#placeInVirtualMonitor(window);
+        }
+        this.#watchTitle(window);
+    }
+
+    // applications often set the title only after the window is created, so the rules on
+    // the title are checked again when the title changes, for a short while
+    #watchTitle(window) {
+        if (!this.#placementRules.hasTitleRules()) {
+            return;
+        }
+
+        const stopWatching = () => {
+            this.#signals.disconnect('notify::title', window);
+            GLib.source_remove(this.#titleWatchTimeoutIds.get(window));
+            this.#titleWatchTimeoutIds.delete(window);
+        };
+
+        this.#signals.connect(window, 'notify::title', () => {
+            const rule = this.#placementRules.findRule(window);
+            if (rule && rule.title !== undefined) {
+                stopWatching();
+                this.#placeByRule(window, rule);
+            }
+        });
+        this.#titleWatchTimeoutIds.set(window, GLib.timeout_add(GLib.PRIORITY_DEFAULT, TitleRulesDelay, () => {
+            this.#signals.disconnect('notify::title', window);
+            this.#titleWatchTimeoutIds.delete(window);
+            return GLib.SOURCE_REMOVE;
+        }));
+    }
+
+    // snap the window into the region of the placement rule
+    #placeByRule(window, rule) {
+        const displayIdx = rule.display ? rule.display - 1 : window.get_monitor();
+        if (displayIdx >= global.display.get_n_monitors()) {
+            return;
+        }
+
+        const layout = this.#layoutWithRectsForDisplay(displayIdx, window.get_workspace());
+        const leaf = layout.leaves()[rule.region - 1];
+        if (!leaf) {
+            return;
+        }
+
+        if (window.get_monitor() !== displayIdx) {
+            window.move_to_monitor(displayIdx);
+        }
+        this.#snapWindow(window, displayIdx, layout, [leaf]);
+    }
+
+    // snap the window into the first region without windows on its workspace. when all regions
+    // are taken, the window is stacked onto the region with the fewest windows, if enabled.
+    // returns whether the window was snapped
+    #autoPlaceWindow(window) {
+        const autoPlacement = this.#settings.settingsData.autoPlacement.value;
+        if (autoPlacement === 'OFF' || window.skip_taskbar || window.get_transient_for()) {
+            return false;
+        }
+
+        const displayIdx = window.get_monitor();
+        const workspace = window.get_workspace();
+        const layout = this.#layoutWithRectsForDisplay(displayIdx, workspace);
+        const windowCount = (leaf) => this.#windowTracker.windowsInRegion(leaf)
+            .filter(w => w !== window && w.located_on_workspace(workspace))
+            .length;
+
+        const leaves = layout.leavesInPlacementOrder(autoPlacement === 'PRIORITY');
+        let leaf = leaves.find(leaf => windowCount(leaf) === 0);
+        if (!leaf && this.#settings.settingsData.autoPlacementFallback.value === 'STACK') {
+            leaf = leaves.reduce((least, leaf) => windowCount(leaf) < windowCount(least) ? leaf : least);
+        }
+
+        if (!leaf) {
+            return false;
+        }
+
+        this.#snapWindow(window, displayIdx, layout, [leaf]);
+        return true;
+    }
+
+    // the layout of the window with its rectangles calculated, null if the layout has no virtual monitors
+    #layoutWithVirtualMonitors(window) {
+        if (!this.#settings.settingsData.virtualMonitors.value) {
+            return null;
+        }
+
+        const displayIdx = window.get_monitor();
+        const layout = this.#readOrCreateLayoutForWorkspace(displayIdx, window.get_workspace());
+        if (!layout.findNode(n => n.isVirtualMonitor)) {
+            return null;
+        }
+
+        const workArea = getUsableScreenArea(displayIdx);
+        layout.calculateRects(workArea.x, workArea.y, workArea.width, workArea.height);
+        return layout;
+    }
+
+    // center a new window in the virtual monitor with the pointer, or else the virtual monitor
+    // it opened in, as the window manager would center it on a display
+    #placeInVirtualMonitor(window) {
+        const layout = window.get_transient_for() ? null : this.#layoutWithVirtualMonitors(window);
+        if (!layout) {
+            return;
+        }
+
+        const displayIdx = window.get_monitor();
+        const frameRect = window.get_frame_rect();
+        const [pointerX, pointerY] = global.get_pointer();
+        const virtualMonitor = (global.display.get_current_monitor() === displayIdx
+            && layout.findVirtualMonitorAtPosition(pointerX, pointerY))
+            || layout.findVirtualMonitorAtPosition(frameRect.x + frameRect.width / 2, frameRect.y + frameRect.height / 2);
+        if (!virtualMonitor) {
+            return;
+        }
+
+        const rect = virtualMonitor.snapRect();
+        const width = window.resizeable ? Math.min(frameRect.width, rect.width) : frameRect.width;
+        const height = window.resizeable ? Math.min(frameRect.height, rect.height) : frameRect.height;
+        window.move_resize_frame(
+            false,
+            rect.x + Math.round((rect.width - width) / 2), rect.y + Math.round((rect.height - height) / 2),
+            width, height);
+    }
+
+    #connectFocusedWindow() {
+        this.#signals.connect(global.display, 'notify::focus-window', this.#onFocusedWindowChanged.bind(this));
+        this.#signals.connect(global.workspace_manager, 'active-workspace-changed', this.#updateVirtualMonitorTiling.bind(this));
+        this.#onFocusedWindowChanged();
+    }
+
+    #onFocusedWindowChanged() {
+        if (this.#focusedWindow) {
+            this.#signals.disconnect('position-changed', this.#focusedWindow);
+        }
+
+        this.#focusedWindow = global.display.focus_window;
+        if (this.#focusedWindow) {
+            this.#signals.connect(this.#focusedWindow, 'position-changed', this.#updateVirtualMonitorTiling.bind(this));
+        }
+        this.#updateVirtualMonitorTiling();
+    }
+
+    // the tiling keybindings tile within virtual monitors while the focused window is in one.
+    // otherwise the window manager handles them as usual
+    #updateVirtualMonitorTiling() {
+        const window = this.#focusedWindow;
+        const layout = window && window.window_type === Meta.WindowType.NORMAL && this.#layoutWithVirtualMonitors(window);
+        const frameRect = layout && window.get_frame_rect();
+        const isInVirtualMonitor = !!layout
+            && !!layout.findVirtualMonitorAtPosition(frameRect.x + frameRect.width / 2, frameRect.y + frameRect.height / 2);
+
+        if (isInVirtualMonitor && !this.#isVirtualMonitorTilingEnabled) {
+            this.#enableVirtualMonitorTiling();
+        } else if (!isInVirtualMonitor && this.#isVirtualMonitorTilingEnabled) {
+            this.#disableVirtualMonitorTiling();
+        }
+    }
+
+    #disableVirtualMonitorTiling() {
+        for (let tileKeybinding of TileKeybindings) {
+            Meta.keybindings_set_custom_handler(tileKeybinding.name, null);
+        }
+        this.#isVirtualMonitorTilingEnabled = false;
+    }
+
+    #enableVirtualMonitorTiling() {
+        this.#isVirtualMonitorTilingEnabled = true;
+        for (let tileKeybinding of TileKeybindings) {
+            Meta.keybindings_set_custom_handler(tileKeybinding.name, (display, window) => {
+                if (window) {
+                    this.#tileInVirtualMonitor(window, tileKeybinding.direction);
+                }
+            });
+        }
+    }
+
+    // tile the window to the half of its virtual monitor in the given direction. a window that is
+    // already tiled to that side moves on to the next virtual monitor, or at the edge of the
+    // virtual monitors to the neighbouring display
+    #tileInVirtualMonitor(window, direction) {
+        const displayIdx = window.get_monitor();
+        const layout = this.#layoutWithVirtualMonitors(window);
+        const frameRect = window.get_frame_rect();
+        const centerX = frameRect.x + frameRect.width / 2;
+        const centerY = frameRect.y + frameRect.height / 2;
+
+        let virtualMonitor = layout && layout.findVirtualMonitorAtPosition(centerX, centerY);
+        let tileDirection = direction;
+
+        const tile = this.#virtualMonitorTiles.get(window);
+        if (virtualMonitor && tile && rectsEqual(tile.rect, frameRect)
+            && rectsEqual(tile.target, halfRect(virtualMonitor.snapRect(), direction))) {
+            // look for the virtual monitor just beyond the edge in the direction
+            const vmRect = virtualMonitor.rect;
+            const beyondEdge = {
+                [Direction.LEFT]: [vmRect.x - 1, centerY],
+                [Direction.RIGHT]: [vmRect.x + vmRect.width + 1, centerY],
+                [Direction.UP]: [centerX, vmRect.y - 1],
+                [Direction.DOWN]: [centerX, vmRect.y + vmRect.height + 1]
+            }[direction];
+            virtualMonitor = layout.findVirtualMonitorAtPosition(...beyondEdge);
+            tileDirection = oppositeDirection(direction);
+        }
+
+        if (!virtualMonitor) {
+            this.#virtualMonitorTiles.delete(window);
+            const neighbourIdx = global.display.get_monitor_neighbor_index(displayIdx, mapDirectionToDisplayDirection(direction));
+            if (neighbourIdx >= 0) {
+                window.move_to_monitor(neighbourIdx);
+            }
+            return;
+        }
+
+        const target = halfRect(virtualMonitor.snapRect(), tileDirection);
+        snapToRect(window, target, this.#settings.settingsData.snapAlignment.value);
+        this.#virtualMonitorTiles.set(window, { target: target, rect: window.get_frame_rect() });
+    }
+
+    #connectMaximize() {
+        this.#signals.connect(global.window_manager, 'size-change', (wm, actor, change, oldFrameRect) => {
+            if (change !== Meta.SizeChange.MAXIMIZE
+                || !(this.#settings.settingsData.maximizeFillsRegion.value || this.#settings.settingsData.virtualMonitors.value)) {
+                return;
+            }
+
+            const window = actor.get_meta_window();
+            const regionMaximizedRect = this.#regionMaximizedRects.get(window);
+            this.#regionMaximizedRects.delete(window);
+            if (window.window_type !== Meta.WindowType.NORMAL
+                || window.get_maximized() !== Meta.MaximizeFlags.BOTH
+                || (regionMaximizedRect && rectsEqual(regionMaximizedRect, oldFrameRect))) {
+                return;
+            }
+
+            // let the window manager finish maximizing before the window is put in its region
+            const rect = { x: oldFrameRect.x, y: oldFrameRect.y, width: oldFrameRect.width, height: oldFrameRect.height };
+            this.#runWhenIdle(() => {
+                if (window.get_compositor_private()
+                    && !(this.#settings.settingsData.maximizeFillsRegion.value && this.#maximizeIntoRegion(window, rect))) {
+                    this.#maximizeIntoVirtualMonitor(window, rect);
+                }
+            });
+        });
+    }
+
+    // fill the region of the window instead of the display, i.e. the region it is snapped
+    // into or else the region its center was in before it was maximized. returns whether
+    // the window was put in a region
+    #maximizeIntoRegion(window, unmaximizedRect) {
+        let entry = this.#windowTracker.get(window);
+        if (!entry) {
+            const displayIdx = window.get_monitor();
+            const layout = this.#layoutWithRectsForDisplay(displayIdx, window.get_workspace());
+            const leaf = layout.findNodeAtPosition(
+                unmaximizedRect.x + unmaximizedRect.width / 2,
+                unmaximizedRect.y + unmaximizedRect.height / 2);
+            if (!leaf) {
+                return false;
+            }
+
+            // unmaximize first, so the window gets its size from before it was maximized back when restored
+            window.unmaximize(Meta.MaximizeFlags.BOTH);
+            entry = this.#windowTracker.track(window, unmaximizedRect, layout, displayIdx, [leaf]);
+        } else {
+            const workArea = getUsableScreenArea(entry.displayIdx);
+            entry.layout.calculateRects(workArea.x, workArea.y, workArea.width, workArea.height);
+            window.unmaximize(Meta.MaximizeFlags.BOTH);
+        }
+
+        this.#snapToRegion(entry);
+        this.#regionMaximizedRects.set(window, window.get_frame_rect());
+        return true;
+    }
+
+    // fill the virtual monitor the center of the window was in before it was maximized
+    #maximizeIntoVirtualMonitor(window, unmaximizedRect) {
+        const layout = this.#layoutWithVirtualMonitors(window);
+        const virtualMonitor = layout && layout.findVirtualMonitorAtPosition(
+            unmaximizedRect.x + unmaximizedRect.width / 2,
+            unmaximizedRect.y + unmaximizedRect.height / 2);
+        if (!virtualMonitor) {
+            return;
+        }
+
+        window.unmaximize(Meta.MaximizeFlags.BOTH);
+        snapToRect(window, virtualMonitor.snapRect(), this.#settings.settingsData.snapAlignment.value);
+        this.#regionMaximizedRects.set(window, window.get_frame_rect());
+    }
+
     #connectWindowGrabs() {
         // start snapping when the user starts moving a window
         this.#signals.connect(global.display, 'grab-op-begin', (display, screen, window, op) => {
             if (op === Meta.GrabOp.MOVING && window.window_type === Meta.WindowType.NORMAL) {                                
                 // reload styling
                 this.#loadThemeColors();
+                this.#grabStartRect = window.get_frame_rect();
                 const enableSnappingModifiers = mapModifierSettingToModifierType(this.#settings.settingsData.enableSnappingModifiers.value);
+                // spanning is disabled when it has the same modifier as snapping, or every snap would span
+                const spanRegionsSetting = this.#settings.settingsData.spanRegionsModifiers.value;
+                const spanRegionsModifiers = spanRegionsSetting === this.#settings.settingsData.enableSnappingModifiers.value
+                    ? []
+                    : mapModifierSettingToModifierType(spanRegionsSetting);
+                const edgeActivation = this.#settings.settingsData.enableSnappingModifiers.value === 'EDGE' ? {
+                    distance: this.#settings.settingsData.edgeActivationDistance.value,
+                    pauseDelay: this.#settings.settingsData.pauseActivationDelay.value
+                } : null;
                 
                 // Create WindowSnapper for each monitor
                 const nMonitors = global.display.get_n_monitors();
                 for (let i = 0; i < nMonitors; i++) {
-                    const layout = this.#readOrCreateLayoutForDisplay(i, LayoutOf2x2);
-                    const snapper = new WindowSnapper(i, layout, window, enableSnappingModifiers);
+                    const layout = this.#readOrCreateLayoutForWorkspace(i, window.get_workspace());
+                    const snapper = new WindowSnapper(i, layout, window, enableSnappingModifiers, spanRegionsModifiers, edgeActivation, this.#settings.settingsData.snapAlignment.value);
                     this.#windowSnappers.push(snapper);
                 }
+            } else if (this.#settings.settingsData.linkedResize.value && this.#windowTracker.isTracked(window)) {
+                // resizing a snapped window moves the dividers and the windows of the neighbouring regions
+                const entry = this.#windowTracker.get(window);
+                const workArea = getUsableScreenArea(entry.displayIdx);
+                entry.layout.calculateRects(workArea.x, workArea.y, workArea.width, workArea.height);
+
+                const linkedResizer = new LinkedResizer(window, entry.layout, entry.regionNodes || entry.nodes, op, this.#resnapWindows.bind(this));
+                if (linkedResizer.isLinked()) {
+                    this.#linkedResizer = linkedResizer;
+                } else {
+                    linkedResizer.destroy();
+                }
             }
             return Clutter.EVENT_PROPAGATE;
         });
@@ -306,11 +1456,34 @@ class Application {
         this.#signals.connect(global.display, 'grab-op-end', (display, screen, window, op) => {
             if (op === Meta.GrabOp.MOVING && window.window_type === Meta.WindowType.NORMAL) {
                 // Finalize and destroy all window snappers
+                let snapResult = null;
                 for (let snapper of this.#windowSnappers) {
-                    snapper.finalize();
+                    snapResult = snapper.finalize() || snapResult;
                     snapper.destroy();
                 }
                 this.#windowSnappers = [];
+
+                if (snapResult && this.#grabStartRect) {
+                    const entry = this.#windowTracker.track(window, this.#grabStartRect, snapResult.layout, snapResult.displayIdx, snapResult.nodes);
+                    this.#snapToRegion(entry);
+                } else if (this.#windowTracker.isTracked(window) && this.#grabStartRect) {
+                    // a snapped window that is dragged out of its region gets its original size back
+                    const frameRect = window.get_frame_rect();
+                    if (frameRect.x !== this.#grabStartRect.x || frameRect.y !== this.#grabStartRect.y) {
+                        this.#restoreOriginalSize(window);
+                    }
+                }
+                this.#grabStartRect = null;
+            } else if (this.#linkedResizer) {
+                this.#linkedResizer.destroy();
+                this.#linkedResizer = null;
+
+                // align the resized window with its region and keep the new layout
+                const entry = this.#windowTracker.get(window);
+                if (entry) {
+                    this.#resnapWindows(entry.layout);
+                }
+                this.#saveDisplayLayouts();
             }
             return Clutter.EVENT_PROPAGATE;
         });
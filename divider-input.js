@@ -0,0 +1,127 @@
+const Main = imports.ui.main;
+const St = imports.gi.St;
+
+// parse the size typed by the user, either in pixels ("1280px" or "1280") or as
+// a percentage of the display ("37.5%"). returns the size in pixels, null if invalid
+function parseSize(text, displayLength) {
+    const match = text.trim().match(/^(\d+(?:\.\d+)?)\s*(%|px)?$/i);
+    if (!match) {
+        return null;
+    }
+
+    const value = parseFloat(match[1]);
+    return match[2] === '%' ? displayLength * value / 100 : value;
+}
+
+// the divider input lets the user type the exact size of the region before a divider,
+// i.e. the position of the divider. the dividers in line with it move along. the layout
+// is updated while typing and the sizes of the regions on both sides of the divider are
+// shown. <ENTER> keeps the new position and cancel() puts the dividers back.
+class DividerInput {
+    // the node with the divider and the node on the other side of the divider
+    #node;
+    #nextNode;
+
+    // the nodes with the dividers that move together, including the node with the divider
+    #linkedNodes;
+
+    // moves the dividers, only to valid positions
+    #resizeOperation;
+
+    // the percentages of the linked nodes from before the input was opened
+    #originalPercentages;
+
+    // UI actors
+    #dialog;
+    #entry;
+    #label;
+
+    // the callbacks for a changed layout and for closing the input
+    #onChanged;
+    #onClose;
+
+    constructor(node, linkedNodes, resizeOperation, x, y, onChanged, onClose) {
+        this.#node = node;
+        this.#nextNode = node.parent.children[node.parent.children.indexOf(node) + 1];
+        this.#linkedNodes = linkedNodes;
+        this.#resizeOperation = resizeOperation;
+        this.#originalPercentages = linkedNodes.map(n => n.percentage);
+        this.#onChanged = onChanged;
+        this.#onClose = onClose;
+
+        this.#dialog = new St.BoxLayout({
+            reactive: true,
+            style_class: 'dialog',
+            vertical: true
+        });
+
+        this.#entry = new St.Entry({
+            style_class: 'run-dialog-entry',
+            can_focus: true,
+            text: `${this.#size(node)}px`
+        });
+        this.#entry.clutter_text.connect('text-changed', this.#onTextChanged.bind(this));
+        this.#entry.clutter_text.connect('activate', () => this.#onClose());
+
+        this.#label = new St.Label();
+        this.#updateLabel(true);
+
+        this.#dialog.add(new St.Label({ text: 'Size in pixels or percent, e.g. 1280px or 37.5%' }));
+        this.#dialog.add(this.#entry);
+        this.#dialog.add(this.#label);
+        this.#dialog.set_position(x, y);
+        Main.uiGroup.add_actor(this.#dialog);
+
+        this.#entry.grab_key_focus();
+        this.#entry.clutter_text.set_selection(0, -1);
+    }
+
+    destroy() {
+        Main.uiGroup.remove_actor(this.#dialog);
+        this.#dialog.destroy();
+        this.#dialog = null;
+        this.#entry = null;
+        this.#label = null;
+        this.#node = null;
+        this.#nextNode = null;
+        this.#linkedNodes = null;
+    }
+
+    // put the dividers back where they were and close the input
+    cancel() {
+        this.#linkedNodes.forEach((n, i) => n.percentage = this.#originalPercentages[i]);
+        this.#resizeOperation.tree.calculateRects();
+        this.#onChanged();
+        this.#onClose();
+    }
+
+    // the size of the node along the axis of the divider
+    #size(node) {
+        return this.#node.isColumn() ? node.rect.width : node.rect.height;
+    }
+
+    #onTextChanged() {
+        const tree = this.#resizeOperation.tree;
+        const size = parseSize(this.#entry.get_text(), this.#node.isColumn() ? tree.rect.width : tree.rect.height);
+
+        let isValid = size !== null;
+        if (isValid) {
+            const start = this.#node.isColumn() ? this.#node.rect.x : this.#node.rect.y;
+            isValid = this.#resizeOperation.setDividerPositions(this.#linkedNodes, start + size);
+        }
+
+        this.#updateLabel(isValid);
+        this.#onChanged();
+    }
+
+    // show the dimensions of the regions on both sides of the divider
+    #updateLabel(isValid) {
+        const dimensions = (node) => `${node.rect.width} × ${node.rect.height}`;
+        const [before, after] = this.#node.isColumn() ? ['Left', 'Right'] : ['Top', 'Bottom'];
+        this.#label.set_text(
+            (isValid ? '' : 'Invalid size, keeping the last valid position\n') +
+            `${before}: ${dimensions(this.#node)}    ${after}: ${dimensions(this.#nextNode)}`);
+    }
+}
+
+module.exports = { DividerInput };
@@ -1,6 +1,8 @@
 // this module contains functionality to draw the layout of a node tree
 // on a given Cairo context
 
+const Cairo = imports.cairo;
+
 const TAU = Math.PI * 2;
 
 // blueish default / fallback colors
@@ -97,14 +99,75 @@ function drawLayout(cr, node, displayRect, colors = DefaultColors, cornerRadius
 
         let regionRect = addMargins({ x, y, width, height }, node.margin);
         drawRoundedRect(cr, regionRect, cornerRadius, c, colors.border);
+
+        // the region with the keyboard focus gets a thick border
+        if (node.isFocused) {
+            cr.save();
+            cr.setLineWidth(6);
+            drawRoundedRect(cr, regionRect, cornerRadius, colors.highlight, colors.border);
+            cr.restore();
+        }
     }
 
     for (let child of node.children) {
         drawLayout(cr, child, displayRect, colors, cornerRadius);
     }
+
+    // outline virtual monitors on top of their regions
+    if (node.isVirtualMonitor) {
+        const outlineRect = addMargins({ x, y, width, height }, node.margin / 2);
+        const noFill = { r: 0, g: 0, b: 0, a: 0 };
+        cr.save();
+        cr.setLineWidth(4);
+        cr.setDash([24, 8], 0);
+        drawRoundedRect(cr, outlineRect, cornerRadius, noFill, colors.border);
+        cr.restore();
+    }
+}
+
+// draw the outline of the final geometry of a window that is about to be snapped
+function drawGhostRect(cr, rect, colors = DefaultColors, cornerRadius = 10) {
+    const ghostFill = { r: colors.highlight.r, g: colors.highlight.g, b: colors.highlight.b, a: colors.highlight.a / 2 };
+
+    cr.save();
+    cr.setLineWidth(3);
+    cr.setDash([12, 6], 0);
+    drawRoundedRect(cr, rect, cornerRadius, ghostFill, colors.border);
+    cr.restore();
+}
+
+// draw the text centered in the given rectangle
+function drawCenteredText(cr, text, rect, color, fontSize = 72) {
+    cr.setSourceRGBA(color.r, color.g, color.b, color.a);
+    cr.selectFontFace('Sans', Cairo.FontSlant.NORMAL, Cairo.FontWeight.BOLD);
+    cr.setFontSize(fontSize);
+    const extents = cr.textExtents(text);
+    cr.moveTo(
+        rect.x + (rect.width - extents.width) / 2 - extents.xBearing,
+        rect.y + (rect.height - extents.height) / 2 - extents.yBearing);
+    cr.showText(text);
+}
+
+// draw a strip of tabs, one for each window in a stack, with the tab of the active window highlighted
+function drawStackTabs(cr, rect, count, activeIdx, colors = DefaultColors, tabSpacing = 4) {
+    const tabWidth = (rect.width - tabSpacing * (count - 1)) / count;
+    const radius = Math.min(rect.height, tabWidth) / 2;
+
+    for (let i = 0; i < count; i++) {
+        const tabRect = {
+            x: rect.x + i * (tabWidth + tabSpacing),
+            y: rect.y,
+            width: tabWidth,
+            height: rect.height
+        };
+        drawRoundedRect(cr, tabRect, radius, i === activeIdx ? colors.highlight : colors.background, colors.border);
+    }
 }
 
 module.exports = {
+    drawCenteredText,
+    drawGhostRect,
+    drawStackTabs,
     drawLayout,
     DefaultColors
 };
\ No newline at end of file
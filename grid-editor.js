@@ -4,9 +4,10 @@ const Dialog = imports.ui.dialog;
 const Main = imports.ui.main;
 const St = imports.gi.St;
 
+const { DividerInput } = require('./divider-input');
 const { drawLayout } = require('./drawing');
 const { getUsableScreenArea } = require('./window-utils');
-const { PreviewSplitOperation, ResizeOperation, MarginsOperation, PresetShortcutOperation } = require('./node_tree');
+const { HistoryOperation, KeyboardEditOperation, PreviewSplitOperation, ResizeOperation, MarginsOperation, PresetShortcutOperation, VirtualMonitorOperation } = require('./node_tree');
 
 // the grid editor presents the user with a visual way of
 // editing the layout tree. the user can resize layout regions (move dividers),
@@ -33,22 +34,30 @@ class GridEditor {
     #loadPresetDialog;
     #savePresetDialog;
     #presetAreas = [];
+    #dividerInput = null;
 
-    // the callback to call when the editor is closed
+    // the callback to call when the editor is closed, with whether to apply or discard the edits
     #onClose;
 
+    // the callback to call when the user wants to apply the edits and arrange all windows into the layout
+    #onFillLayout;
+
     // operations on the layout tree
     #marginsOperation;
     #previewOperation;
     #resizeOperation;
     #presetShortcutOperation;
+    #virtualMonitorOperation;
+    #historyOperation;
+    #keyboardEditOperation;
 
-    constructor(displayIdx, layoutTree, colors, onClose, presets) {
+    constructor(displayIdx, layoutTree, colors, onClose, presets, onFillLayout) {
         this.#displayIdx = displayIdx;
         this.#layoutTree = layoutTree;
         this.#colors = colors;
         this.#onClose = onClose;
         this.#presets = presets;
+        this.#onFillLayout = onFillLayout;
 
         // get the working area to occupy as a grid editor   
         // and resize the layout to fit the work area
@@ -84,6 +93,9 @@ class GridEditor {
         this.#resizeOperation = new ResizeOperation(this.#layoutTree, this.#workArea.width, this.#workArea.height);
         this.#marginsOperation = new MarginsOperation(this.#layoutTree);
         this.#presetShortcutOperation = new PresetShortcutOperation(this.#layoutTree, this.#presets, this.#usePreset.bind(this));
+        this.#virtualMonitorOperation = new VirtualMonitorOperation(this.#layoutTree);
+        this.#historyOperation = new HistoryOperation(this.#layoutTree, [this.#previewOperation, this.#resizeOperation]);
+        this.#keyboardEditOperation = new KeyboardEditOperation(this.#layoutTree, [this.#previewOperation, this.#resizeOperation]);
 
         this.#setupKeyBindings();
     }
@@ -139,6 +151,7 @@ class GridEditor {
         this.#layoutTree.forSelfAndDescendants((node) => node.margin = currentMargin);
         this.#layoutTree.calculateRects(this.#workArea.x, this.#workArea.y, this.#workArea.width, this.#workArea.height);
         this.#drawingArea.queue_repaint();
+        this.#historyOperation.checkpoint();
     }
 
     #createLoadPresetDialog() {
@@ -269,16 +282,33 @@ class GridEditor {
             title: null,
             description:
                 "<CTRL> / <SHIFT> = Divide in columns / rows\n" +
-                "Drag divider to resize\nRight click = delete divider\n" +
+                "Drag divider to resize, hold <ALT> to move it on its own\nRight click = delete divider\n" +
+                "Double click divider = type exact position\n" +
                 "<Page Up> / <Page Down> = Increase / Decrease spacing\n" +
                 "<SPACE> / <ALT> = Load / save user preset\n" +
                 "[1-8] = Load preset\n" +
-                "<ESC> = Close editor"
+                "<V> = Toggle virtual monitor\n" +
+                "<CTRL>+Z / <CTRL>+<SHIFT>+Z = Undo / redo\n" +
+                "<ARROWS> = Move focus between regions\n" +
+                "<C> / <R> = Divide focused region in columns / rows\n" +
+                "<SHIFT>+<ARROWS> = Move divider of focused region\n" +
+                "<DELETE> = Delete divider of focused region\n" +
+                "<F> = Apply and arrange all windows into the layout\n" +
+                "<ENTER> = Apply changes and close editor\n" +
+                "<ESC> = Discard changes and close editor"
         }));
+        dialog.addButton({ label: 'Discard', action: () => this.#onClose(false) });
+        dialog.addButton({ label: 'Apply', action: () => this.#onClose(true), default: true });
         return dialog;
     }
 
     destroy() {
+        // stop any preview or resize in progress, so it does not end up in the layout
+        this.#previewOperation.cancel();
+        this.#resizeOperation.cancel();
+        this.#keyboardEditOperation.cancel();
+        this.#closeDividerInput();
+
         // Pop modal mode
         Main.popModal(this.#modalBackground);
 
@@ -308,7 +338,43 @@ class GridEditor {
     }
 
     #onEscapePressed() {
-        this.#onClose(this);
+        if (this.#dividerInput) {
+            this.#dividerInput.cancel();
+            return;
+        }
+        this.#onClose(false);
+    }
+
+    // let the user type the exact position of the divider at the given position
+    #openDividerInput(x, y) {
+        const node = this.#layoutTree.findDividerAtPosition(x, y, this.#resizeOperation.dividerWidth);
+        if (!node) {
+            return false;
+        }
+
+        // the dividers in line with it move along, unless <ALT> is held
+        const [, , state] = global.get_pointer();
+        const linkedNodes = (state & Clutter.ModifierType.MOD1_MASK) !== 0 ? [node] : this.#layoutTree.findCollinearDividers(node);
+
+        this.#dividerInput = new DividerInput(
+            node,
+            linkedNodes,
+            this.#resizeOperation,
+            x, y,
+            () => this.#drawingArea.queue_repaint(),
+            this.#closeDividerInput.bind(this));
+        return true;
+    }
+
+    #closeDividerInput() {
+        if (!this.#dividerInput) {
+            return;
+        }
+
+        this.#dividerInput.destroy();
+        this.#dividerInput = null;
+        this.#historyOperation.checkpoint();
+        this.#modalBackground.grab_key_focus();
     }
 
     #onRepaintPreset(area) {
@@ -361,8 +427,13 @@ class GridEditor {
         cr.$dispose();
     }
 
-    #handleOperationResult(result) {
+    // handle the result of the operations for an event. after events that finish an edit, like a
+    // button release or a key press, the layout is added to the history if it changed
+    #handleOperationResult(result, isFinished = true) {
         if (result) {
+            if (isFinished) {
+                this.#historyOperation.checkpoint();
+            }
             if (result.shouldRedraw) {
                 this.#drawingArea.queue_repaint();
             }
@@ -372,17 +443,39 @@ class GridEditor {
     }
 
     #onMotion(actor, event) {
+        // the layout is not changed by other means while the divider input is open
+        if (this.#dividerInput) {
+            return Clutter.EVENT_STOP;
+        }
+
         let [x, y, state] = global.get_pointer();
 
         return this.#handleOperationResult(
             this.#previewOperation.onMotion(x, y, state) ||
-            this.#resizeOperation.onMotion(x, y, state)
+            this.#resizeOperation.onMotion(x, y, state),
+            false
         );
     }
 
     #onButtonPress(actor, event) {
         let [x, y, state] = global.get_pointer();
 
+        // a click next to the divider input keeps the typed position
+        if (this.#dividerInput) {
+            this.#closeDividerInput();
+            return Clutter.EVENT_STOP;
+        }
+
+        // a double click on a divider opens the input for its exact position
+        if (event.get_click_count() === 2 && event.get_button() === Clutter.BUTTON_PRIMARY) {
+            this.#previewOperation.cancel();
+            this.#resizeOperation.cancel();
+            if (this.#openDividerInput(x, y)) {
+                this.#drawingArea.queue_repaint();
+                return Clutter.EVENT_STOP;
+            }
+        }
+
         return this.#handleOperationResult(
             this.#previewOperation.onButtonPress(x, y, state, event.get_button()) ||
             this.#resizeOperation.onButtonPress(x, y, state, event.get_button())
@@ -390,6 +483,10 @@ class GridEditor {
     }
 
     #onButtonRelease(actor, event) {
+        if (this.#dividerInput) {
+            return Clutter.EVENT_STOP;
+        }
+
         let [x, y, state] = global.get_pointer();
 
         return this.#handleOperationResult(
@@ -423,7 +520,18 @@ class GridEditor {
                 this.#presetAreas[i].queue_repaint();
             }
         }
-        if (key === Clutter.KEY_Alt_L || key === Clutter.KEY_Alt_R) {
+        if (key === Clutter.KEY_f || key === Clutter.KEY_F) {
+            this.#onFillLayout();
+            return Clutter.EVENT_STOP;
+        }
+        if (key === Clutter.KEY_Return || key === Clutter.KEY_KP_Enter) {
+            this.#onClose(true);
+            return Clutter.EVENT_STOP;
+        }
+        // on a divider, <ALT> unlinks the dividers in line with it instead
+        if ((key === Clutter.KEY_Alt_L || key === Clutter.KEY_Alt_R)
+            && !this.#resizeOperation.isResizing()
+            && !this.#layoutTree.findDividerAtPosition(x, y, this.#resizeOperation.dividerWidth)) {
             this.#loadPresetDialog.hide();
             this.#savePresetDialog.show();
             for (let i = 0; i < this.#presetAreas.length; i++) {
@@ -431,9 +539,12 @@ class GridEditor {
             }
         }
         return this.#handleOperationResult(
+            this.#historyOperation.onKeyPress(x, y, state, key) ||
+            this.#keyboardEditOperation.onKeyPress(x, y, state, key) ||
             this.#previewOperation.onKeyPress(x, y, state, key) ||
             this.#resizeOperation.onKeyPress(x, y, state, key) ||
             this.#marginsOperation.onKeyPress(x, y, state, key) ||
+            this.#virtualMonitorOperation.onKeyPress(x, y, state, key) ||
             this.#presetShortcutOperation.onKeyPress(x, y, state, key)
         );
     }
@@ -20,6 +20,28 @@ class LayoutIO {
         return `display-${displayIdx}`;
     }
 
+    // the display index of a layout key by display index, including the keys of its
+    // variants and workspaces, or -1 for other layout keys
+    displayIndexOfKey(layoutKey) {
+        const match = layoutKey.match(/^display-(\d+)(?:-|$)/);
+        return match ? Number(match[1]) : -1;
+    }
+
+    // the key for the layout of a monitor, identified by its connector and EDID
+    monitorFileKey(monitorIdentity) {
+        return `monitor-${monitorIdentity}`;
+    }
+
+    // the key for a layout variant of a display, e.g. for when the monitor is rotated to portrait
+    variantFileKey(displayKey, variant) {
+        return `${displayKey}-${variant}`;
+    }
+
+    // the key for the layout of a workspace (or group of workspaces) on a display
+    workspaceFileKey(displayKey, workspaceKey) {
+        return `${displayKey}-${workspaceKey}`;
+    }
+
     #filePathForDisplay(displayIdx) {
         return this.#filePathForKey(this.displayFileKey(displayIdx));
     }
@@ -28,8 +50,8 @@ class LayoutIO {
         return this.#filePathForKey(this.presetFileKey(presetIdx));
     }
 
-    // get the path to the layout file for a specific key
-    #filePathForKey(layoutKey) {
+    // get the directory holding the layout files
+    #configDirPath() {
         let configDir = GLib.get_user_config_dir();
         let fancyTilesDir = Gio.File.new_for_path(configDir + '/' + this.#uuid);
 
@@ -38,19 +60,64 @@ class LayoutIO {
             fancyTilesDir.make_directory_with_parents(null);
         }
 
-        return configDir + '/' + this.#uuid + '/layout-' + layoutKey.replace(/[^0-9a-zA-Z\-_]/g, '_') + '.json';
+        return configDir + '/' + this.#uuid;
+    }
+
+    #fileNameForKey(layoutKey) {
+        return 'layout-' + layoutKey.replace(/[^0-9a-zA-Z\-_]/g, '_') + '.json';
+    }
+
+    // get the path to the layout file for a specific key
+    #filePathForKey(layoutKey) {
+        return this.#configDirPath() + '/' + this.#fileNameForKey(layoutKey);
+    }
+
+    // move the layout files of a display, including the layouts of its workspaces, to a new
+    // display key. used to move layouts saved by display index to the identity of the monitor.
+    // nothing is moved if the new display key already has a layout.
+    migrateLayouts(oldDisplayKey, newDisplayKey) {
+        if (this.hasLayout(newDisplayKey)) {
+            return;
+        }
+
+        const oldPrefix = this.#fileNameForKey(oldDisplayKey).replace(/\.json$/, '');
+        const newPrefix = this.#fileNameForKey(newDisplayKey).replace(/\.json$/, '');
+
+        try {
+            const dir = Gio.File.new_for_path(this.#configDirPath());
+            const children = dir.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+
+            let info;
+            while ((info = children.next_file(null)) !== null) {
+                const name = info.get_name();
+                if (name !== oldPrefix + '.json' && !name.startsWith(oldPrefix + '-')) {
+                    continue;
+                }
+
+                const newName = newPrefix + name.substring(oldPrefix.length);
+                dir.get_child(name).move(dir.get_child(newName), Gio.FileCopyFlags.NONE, null, null);
+            }
+            children.close(null);
+        } catch (e) {
+            global.logError('Error migrating layouts: ' + e.message);
+        }
     }
 
 
     // Save layout tree to file
     saveLayoutForDisplay(displayIdx, layout) {
+        return this.saveLayout(this.displayFileKey(displayIdx), layout);
+    }
+
+    // save the layout tree to the file for the given layout key
+    saveLayout(layoutKey, layout) {
         const integrityError = layout.getIntegrityError();
         if (integrityError) {
             global.logError('Invalid layout tree structure. Cannot save layout. ', integrityError);
             return false;
         }
 
-        const filePath = this.#filePathForDisplay(displayIdx);
+        const filePath = this.#filePathForKey(layoutKey);
         return this.#saveToFile(layout, filePath);
     }
 
@@ -95,10 +162,57 @@ class LayoutIO {
         return this.#loadLayoutFromFile(this.#filePathForDisplay(displayIdx));
     }
 
+    // load the layout tree for the given layout key, null if there is none
+    loadLayout(layoutKey) {
+        return this.#loadLayoutFromFile(this.#filePathForKey(layoutKey));
+    }
+
+    // whether a layout file exists for the given layout key
+    hasLayout(layoutKey) {
+        return Gio.File.new_for_path(this.#filePathForKey(layoutKey)).query_exists(null);
+    }
+
     loadLayoutForPreset(presetIdx) {
         return this.#loadLayoutFromFile(this.#filePathForPreset(presetIdx));
     }
 
+    #rulesFilePath() {
+        return this.#configDirPath() + '/rules.json';
+    }
+
+    // load the placement rules stored next to the layout files, an empty list if there are none
+    loadRules() {
+        try {
+            let file = Gio.File.new_for_path(this.#rulesFilePath());
+
+            if (!file.query_exists(null)) {
+                return [];
+            }
+
+            let [success, contents, _] = file.load_contents(null);
+
+            if (success) {
+                let jsonData = JSON.parse(contents);
+                if (!Array.isArray(jsonData)) {
+                    global.logError('Invalid rules loaded from ' + this.#rulesFilePath() + ': not a list of rules');
+                    return [];
+                }
+                return jsonData;
+            }
+        } catch (e) {
+            global.logError('Error loading rules: ' + e.message);
+        }
+
+        return [];
+    }
+
+    // call onChanged when the placement rules file changes, returns the file monitor
+    monitorRules(onChanged) {
+        const monitor = Gio.File.new_for_path(this.#rulesFilePath()).monitor_file(Gio.FileMonitorFlags.NONE, null);
+        monitor.connect('changed', () => onChanged());
+        return monitor;
+    }
+
     // load layout for display from file, if any
     #loadLayoutFromFile(filePath) {
         try {
@@ -0,0 +1,121 @@
+const Meta = imports.gi.Meta;
+const SignalManager = imports.misc.signalManager;
+
+const { Direction, ResizeOperation, boundingRect } = require('./node_tree');
+
+// the edges of a window that are moved by the resize grab operation
+function mapGrabOpToDirections(op) {
+    switch (op) {
+        case Meta.GrabOp.RESIZING_N:
+        case Meta.GrabOp.KEYBOARD_RESIZING_N:
+            return [Direction.UP];
+        case Meta.GrabOp.RESIZING_S:
+        case Meta.GrabOp.KEYBOARD_RESIZING_S:
+            return [Direction.DOWN];
+        case Meta.GrabOp.RESIZING_E:
+        case Meta.GrabOp.KEYBOARD_RESIZING_E:
+            return [Direction.RIGHT];
+        case Meta.GrabOp.RESIZING_W:
+        case Meta.GrabOp.KEYBOARD_RESIZING_W:
+            return [Direction.LEFT];
+        case Meta.GrabOp.RESIZING_NE:
+        case Meta.GrabOp.KEYBOARD_RESIZING_NE:
+            return [Direction.UP, Direction.RIGHT];
+        case Meta.GrabOp.RESIZING_NW:
+        case Meta.GrabOp.KEYBOARD_RESIZING_NW:
+            return [Direction.UP, Direction.LEFT];
+        case Meta.GrabOp.RESIZING_SE:
+        case Meta.GrabOp.KEYBOARD_RESIZING_SE:
+            return [Direction.DOWN, Direction.RIGHT];
+        case Meta.GrabOp.RESIZING_SW:
+        case Meta.GrabOp.KEYBOARD_RESIZING_SW:
+            return [Direction.DOWN, Direction.LEFT];
+        default:
+            return [];
+    }
+}
+
+// the LinkedResizer keeps the layout in sync with a snapped window that the user
+// resizes with the window manager. the dividers on the edges that are dragged follow
+// the window, and onLayoutResized is called so the neighbouring windows can follow too.
+class LinkedResizer {
+    // the window that is being resized
+    #window;
+
+    // the layout the window is snapped into
+    #layout;
+
+    // the spacing between the window and the dividers
+    #margin;
+
+    // the nodes with the dividers that follow the edges of the window
+    #dividers = [];
+
+    #resizeOperation;
+
+    // the callback to call when the layout has been resized
+    #onLayoutResized;
+
+    #signals = new SignalManager.SignalManager(null);
+
+    constructor(window, layout, nodes, grabOp, onLayoutResized) {
+        this.#window = window;
+        this.#layout = layout;
+        this.#margin = nodes[0].margin;
+        this.#onLayoutResized = onLayoutResized;
+        this.#resizeOperation = new ResizeOperation(layout);
+
+        const regionRect = boundingRect(nodes.map(n => n.rect));
+        for (let direction of mapGrabOpToDirections(grabOp)) {
+            const node = layout.findDividerAtEdge(regionRect, direction);
+            if (node) {
+                this.#dividers.push({ node: node, direction: direction });
+            }
+        }
+
+        if (this.#dividers.length > 0) {
+            this.#signals.connect(this.#window, 'size-changed', this.#onWindowResized.bind(this));
+        }
+    }
+
+    // whether the resized window edges are linked to any dividers
+    isLinked() {
+        return this.#dividers.length > 0;
+    }
+
+    destroy() {
+        this.#signals.disconnectAllSignals();
+        this.#signals = null;
+
+        this.#resizeOperation = null;
+        this.#dividers = [];
+        this.#layout = null;
+        this.#window = null;
+    }
+
+    #onWindowResized() {
+        const frameRect = this.#window.get_frame_rect();
+
+        // the divider lies beyond the edge of the window by the spacing of the region
+        for (let { node, direction } of this.#dividers) {
+            switch (direction) {
+                case Direction.LEFT:
+                    this.#resizeOperation.moveDivider(node, frameRect.x - this.#margin, frameRect.y);
+                    break;
+                case Direction.RIGHT:
+                    this.#resizeOperation.moveDivider(node, frameRect.x + frameRect.width + this.#margin, frameRect.y);
+                    break;
+                case Direction.UP:
+                    this.#resizeOperation.moveDivider(node, frameRect.x, frameRect.y - this.#margin);
+                    break;
+                case Direction.DOWN:
+                    this.#resizeOperation.moveDivider(node, frameRect.x, frameRect.y + frameRect.height + this.#margin);
+                    break;
+            }
+        }
+
+        this.#onLayoutResized(this.#layout, this.#window);
+    }
+}
+
+module.exports = { LinkedResizer };
@@ -0,0 +1,85 @@
+// utility functions for monitors
+
+const Gio = imports.gi.Gio;
+
+// the classes of monitor geometry that have a layout variant of their own
+const LayoutVariant = {
+    LANDSCAPE: 'landscape',
+    PORTRAIT: 'portrait',
+    ULTRAWIDE: 'ultrawide'
+};
+
+// monitors at least this many times wider than high are ultrawide, e.g. 21:9 and 32:9
+const UltrawideAspectRatio = 2;
+
+// the layout variant for the current geometry of the monitor
+function getLayoutVariant(displayIdx) {
+    const geometry = global.display.get_monitor_geometry(displayIdx);
+    const aspectRatio = geometry.width / geometry.height;
+
+    if (aspectRatio < 1) {
+        return LayoutVariant.PORTRAIT;
+    }
+    return aspectRatio >= UltrawideAspectRatio ? LayoutVariant.ULTRAWIDE : LayoutVariant.LANDSCAPE;
+}
+
+// the index of the monitor at the given position, -1 if there is none
+function findMonitorIndexAt(x, y) {
+    const nMonitors = global.display.get_n_monitors();
+    for (let i = 0; i < nMonitors; i++) {
+        const geometry = global.display.get_monitor_geometry(i);
+        if (geometry.x === x && geometry.y === y) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// get a stable identity for each monitor, made of the connector name and the vendor, product
+// and serial from its EDID, as reported by the display configuration of the window manager.
+// the display configuration is served by the process running this code, so it is queried 
+// asynchronously. onIdentities is called with an array indexed by monitor index, with null 
+// for monitors that cannot be identified
+function getMonitorIdentities(onIdentities) {
+    const identities = new Array(global.display.get_n_monitors()).fill(null);
+
+    Gio.DBus.session.call(
+        'org.cinnamon.Muffin.DisplayConfig',
+        '/org/cinnamon/Muffin/DisplayConfig',
+        'org.cinnamon.Muffin.DisplayConfig',
+        'GetCurrentState',
+        null,
+        null,
+        Gio.DBusCallFlags.NONE,
+        -1,
+        null,
+        (connection, result) => {
+            try {
+                const state = connection.call_finish(result);
+
+                // the logical monitors are in the same coordinates as the monitors of the display
+                const [serial, monitors, logicalMonitors, properties] = state.deepUnpack();
+                for (let [x, y, scale, transform, primary, monitorSpecs] of logicalMonitors) {
+                    const monitorIdx = findMonitorIndexAt(x, y);
+                    if (monitorIdx === -1 || monitorSpecs.length === 0) {
+                        continue;
+                    }
+
+                    // mirrored monitors share a logical monitor, the first one identifies it
+                    const [connector, vendor, product, monitorSerial] = monitorSpecs[0];
+                    identities[monitorIdx] = [connector, vendor, product, monitorSerial].join('-');
+                }
+            } catch (e) {
+                global.logError('Error getting monitor identities: ' + e.message);
+            }
+
+            onIdentities(identities);
+        });
+}
+
+// Export the module
+module.exports = {
+    LayoutVariant,
+    getLayoutVariant,
+    getMonitorIdentities
+};
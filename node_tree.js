@@ -45,6 +45,62 @@ const LastNodePercentages = [LastNodeXPercentage, LastNodeYPercentage];
 const LastNodeXPercentageJson = 99999;
 const LastNodeYPercentageJson = -99999;
 
+// the maximum number of changes that can be undone in the layout editor
+const HistoryLimit = 100;
+
+// the directions in which to look for neighbouring regions
+const Direction = {
+    LEFT: 'left',
+    RIGHT: 'right',
+    UP: 'up',
+    DOWN: 'down'
+};
+
+// the smallest rectangle that contains all the given rectangles
+function boundingRect(rects) {
+    const left = Math.min(...rects.map(r => r.x));
+    const top = Math.min(...rects.map(r => r.y));
+    const right = Math.max(...rects.map(r => r.x + r.width));
+    const bottom = Math.max(...rects.map(r => r.y + r.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// whether two rectangles overlap, rectangles that only share an edge do not overlap
+function rectsOverlap(a, b) {
+    return a.x < b.x + b.width
+        && b.x < a.x + a.width
+        && a.y < b.y + b.height
+        && b.y < a.y + a.height;
+}
+
+function rectsEqual(a, b) {
+    return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
+
+// the area of the intersection of two rectangles, 0 if they do not overlap
+function overlapArea(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return Math.max(0, width) * Math.max(0, height);
+}
+
+// the length of the overlap of the ranges [start1, end1] and [start2, end2]
+function rangeOverlap(start1, end1, start2, end2) {
+    return Math.max(0, Math.min(end1, end2) - Math.max(start1, start2));
+}
+
+// the grid in pixels that dividers snap to when they are dragged, so regions line up 
+// easily. dividers can still be put at any exact position by typing it in
+const GridSize = 10;
+
+// the step in pixels to nudge a divider with the keyboard
+const NudgeStep = GridSize;
+
+// round the position to the grid that starts at the origin
+function snapToGrid(position, origin) {
+    return origin + Math.round((position - origin) / GridSize) * GridSize;
+}
+
 // A node in the tree layout structure
 class LayoutNode {
     // percentage of screen width (positive) or height (negative). 
@@ -75,9 +131,19 @@ class LayoutNode {
     // isSnappingDestination indicates that this node is a snapping destination
     isSnappingDestination = false;
 
+    // isFocused indicates that this node has the keyboard focus in the layout editor
+    isFocused = false;
+
     // margins surrounding the region, also referred to as spacing
     margin = 0;
 
+    // the order in which new windows are placed into the region, lowest first. null when
+    // the region has no priority, these regions are placed into last in reading order
+    priority = null;
+
+    // the region acts as a separate display for tiling, placing and maximizing windows
+    isVirtualMonitor = false;
+
     constructor(percentage, children = []) {
         this.percentage = percentage;
 
@@ -101,6 +167,8 @@ class LayoutNode {
         clone.isResizing = this.isResizing;
         clone.isPreview = this.isPreview;
         clone.margin = this.margin;
+        clone.priority = this.priority;
+        clone.isVirtualMonitor = this.isVirtualMonitor;
         return clone;
     }
 
@@ -112,7 +180,12 @@ class LayoutNode {
         this.isResizing = snapshotRootNode.isResizing;
         this.isPreview = snapshotRootNode.isPreview;
         this.margin = snapshotRootNode.margin;
+        this.priority = snapshotRootNode.priority;
+        this.isVirtualMonitor = snapshotRootNode.isVirtualMonitor;
         this.children = snapshotRootNode.children;
+        for (let child of this.children) {
+            child.parent = this;
+        }
     }
 
     isLeaf() {
@@ -206,7 +279,7 @@ class LayoutNode {
             let axis = child.axis();
 
             // calculate the position of the edge along the axis
-            let posOnAxis = displayOnAxis[axis] + Math.round(Math.abs(screenLength[axis] * child.percentage) / 10) * 10;
+            let posOnAxis = displayOnAxis[axis] + Math.round(Math.abs(screenLength[axis] * child.percentage));
 
             if (axis === AxisX) {
                 // child is a column node
@@ -286,6 +359,37 @@ class LayoutNode {
             child);
     }
 
+    // all leaf nodes in depth-first order, which is also the order in which the regions are numbered
+    leaves() {
+        if (this.isLeaf()) {
+            return [this];
+        }
+        return this.children.flatMap(child => child.leaves());
+    }
+
+    // all leaf nodes in reading order, top to bottom and left to right. optionally
+    // regions with a priority come first, ordered by their priority
+    leavesInPlacementOrder(usePriority = false) {
+        const priorityOf = (leaf) => usePriority && leaf.priority !== null ? leaf.priority : Number.POSITIVE_INFINITY;
+        return this.leaves().sort((a, b) =>
+            (priorityOf(a) - priorityOf(b)) || (a.rect.y - b.rect.y) || (a.rect.x - b.rect.x));
+    }
+
+    // find the leaves that cover the bounding rectangle of the two given leaves. the rectangle
+    // is grown until it consists of whole regions only, so the selection is always rectangular
+    findLeavesSpanning(fromNode, toNode) {
+        let bounds = boundingRect([fromNode.rect, toNode.rect]);
+        let leaves = [];
+        let grown = true;
+        while (grown) {
+            leaves = this.leaves().filter(leaf => rectsOverlap(leaf.rect, bounds));
+            const newBounds = boundingRect(leaves.map(leaf => leaf.rect));
+            grown = !rectsEqual(newBounds, bounds);
+            bounds = newBounds;
+        }
+        return leaves;
+    }
+
     // find a node in the tree that matches the given predicate
     findNode(predicate) {
         if (predicate(this)) {
@@ -327,6 +431,225 @@ class LayoutNode {
         return this.children.reduce((found, child) => found || child.findNodeAtPosition(x, y), null);
     }
 
+    // find the virtual monitor that contains the given coordinates, if any
+    findVirtualMonitorAtPosition(x, y) {
+        return this.findNode(n => n.isVirtualMonitor
+            && x >= n.rect.x
+            && x <= n.rect.x + n.rect.width
+            && y >= n.rect.y
+            && y <= n.rect.y + n.rect.height);
+    }
+
+    // find the leaf that overlaps most with the given rectangle, e.g. the region a window is in
+    findLeafWithLargestOverlap(rect) {
+        let bestLeaf = null;
+        let bestArea = 0;
+        for (let leaf of this.leaves()) {
+            const area = overlapArea(leaf.rect, rect);
+            if (area > bestArea) {
+                bestLeaf = leaf;
+                bestArea = area;
+            }
+        }
+        return bestLeaf;
+    }
+
+    // find the leaf closest to the given rectangle, preferring the leaf that overlaps most 
+    // and otherwise the leaf with its center nearest to the center of the rectangle
+    findClosestLeaf(rect) {
+        const overlappingLeaf = this.findLeafWithLargestOverlap(rect);
+        if (overlappingLeaf) {
+            return overlappingLeaf;
+        }
+
+        const centerDistance = (leaf) => Math.hypot(
+            (leaf.rect.x + leaf.rect.width / 2) - (rect.x + rect.width / 2),
+            (leaf.rect.y + leaf.rect.height / 2) - (rect.y + rect.height / 2));
+
+        return this.leaves().reduce((best, leaf) => !best || centerDistance(leaf) < centerDistance(best) ? leaf : best, null);
+    }
+
+    // distribute rectangles, e.g. of windows, over the leaves. each rectangle goes to the free 
+    // leaf it overlaps most and rectangles that overlap no free leaf take the remaining free
+    // leaves in order. once all leaves are taken, the surplus rectangles share the leaf they
+    // are closest to. returns the leaf for each of the rectangles.
+    distributeRects(rects) {
+        const leaves = this.leaves();
+        const assignedLeaves = new Array(rects.length).fill(null);
+        const takenLeaves = new Set();
+
+        // match the rectangles and leaves with the largest overlap first
+        const candidates = [];
+        rects.forEach((rect, i) => {
+            for (let leaf of leaves) {
+                const area = overlapArea(rect, leaf.rect);
+                if (area > 0) {
+                    candidates.push({ rectIdx: i, leaf: leaf, area: area });
+                }
+            }
+        });
+        candidates.sort((a, b) => b.area - a.area);
+
+        for (let { rectIdx, leaf } of candidates) {
+            if (assignedLeaves[rectIdx] === null && !takenLeaves.has(leaf)) {
+                assignedLeaves[rectIdx] = leaf;
+                takenLeaves.add(leaf);
+            }
+        }
+
+        for (let i = 0; i < rects.length; i++) {
+            if (assignedLeaves[i] !== null) {
+                continue;
+            }
+
+            const freeLeaf = leaves.find(leaf => !takenLeaves.has(leaf));
+            if (freeLeaf) {
+                assignedLeaves[i] = freeLeaf;
+                takenLeaves.add(freeLeaf);
+            } else {
+                assignedLeaves[i] = this.findClosestLeaf(rects[i]);
+            }
+        }
+
+        return assignedLeaves;
+    }
+
+    // find the leaf next to the given rectangle in the given direction. the closest leaf 
+    // that lines up with the rectangle wins, ties are broken by the length of the shared edge
+    findNeighbourLeaf(rect, direction) {
+        const horizontal = direction === Direction.LEFT || direction === Direction.RIGHT;
+
+        let bestLeaf = null;
+        let bestDistance = Number.POSITIVE_INFINITY;
+        let bestOverlap = 0;
+        for (let leaf of this.leaves()) {
+            let distance;
+            switch (direction) {
+                case Direction.LEFT:
+                    distance = rect.x - (leaf.rect.x + leaf.rect.width);
+                    break;
+                case Direction.RIGHT:
+                    distance = leaf.rect.x - (rect.x + rect.width);
+                    break;
+                case Direction.UP:
+                    distance = rect.y - (leaf.rect.y + leaf.rect.height);
+                    break;
+                case Direction.DOWN:
+                    distance = leaf.rect.y - (rect.y + rect.height);
+                    break;
+            }
+
+            const overlap = horizontal ?
+                rangeOverlap(rect.y, rect.y + rect.height, leaf.rect.y, leaf.rect.y + leaf.rect.height) :
+                rangeOverlap(rect.x, rect.x + rect.width, leaf.rect.x, leaf.rect.x + leaf.rect.width);
+
+            // the leaf has to be beyond the edge of the rectangle and line up with it
+            if (distance < 0 || overlap === 0) {
+                continue;
+            }
+
+            if (distance < bestDistance || (distance === bestDistance && overlap > bestOverlap)) {
+                bestLeaf = leaf;
+                bestDistance = distance;
+                bestOverlap = overlap;
+            }
+        }
+        return bestLeaf;
+    }
+
+    // find the leaf that is entered first when moving into the layout in the given direction,
+    // e.g. moving to the left enters at the right edge. position is the x or y coordinate
+    // perpendicular to the direction, the leaf closest to that position is returned
+    findLeafAtEdge(direction, position) {
+        const horizontal = direction === Direction.LEFT || direction === Direction.RIGHT;
+        const edgeLeaves = this.leaves().filter(leaf => {
+            switch (direction) {
+                case Direction.LEFT:
+                    return leaf.rect.x + leaf.rect.width === this.rect.x + this.rect.width;
+                case Direction.RIGHT:
+                    return leaf.rect.x === this.rect.x;
+                case Direction.UP:
+                    return leaf.rect.y + leaf.rect.height === this.rect.y + this.rect.height;
+                case Direction.DOWN:
+                    return leaf.rect.y === this.rect.y;
+            }
+        });
+
+        const distanceTo = (leaf) => {
+            const start = horizontal ? leaf.rect.y : leaf.rect.x;
+            const end = start + (horizontal ? leaf.rect.height : leaf.rect.width);
+            return Math.max(0, start - position, position - end);
+        };
+
+        return edgeLeaves.reduce((best, leaf) => !best || distanceTo(leaf) < distanceTo(best) ? leaf : best, null);
+    }
+
+    // find the nodes with dividers on the same line as the divider of the given node that connect
+    // to it end to end, e.g. the dividers between the rows in each column of a grid. includes the node
+    findCollinearDividers(node) {
+        const isColumn = node.isColumn();
+        const position = (n) => isColumn ? n.rect.x + n.rect.width : n.rect.y + n.rect.height;
+        const start = (n) => isColumn ? n.rect.y : n.rect.x;
+        const end = (n) => isColumn ? n.rect.y + n.rect.height : n.rect.x + n.rect.width;
+
+        const candidates = [];
+        this.forSelfAndDescendants(n => {
+            // the root and last children have no divider of their own
+            if (n !== node && !n.isRoot() && Number.isFinite(n.percentage)
+                && n.isColumn() === isColumn && position(n) === position(node)) {
+                candidates.push(n);
+            }
+        });
+
+        // grow the chain of dividers that touch each other
+        const linked = [node];
+        let grown = true;
+        while (grown) {
+            grown = false;
+            for (let candidate of candidates) {
+                if (!linked.includes(candidate)
+                    && linked.some(n => start(candidate) <= end(n) && start(n) <= end(candidate))) {
+                    linked.push(candidate);
+                    grown = true;
+                }
+            }
+        }
+        return linked;
+    }
+
+    // find the node with its divider on the given edge of the rectangle, e.g. the divider on 
+    // the right edge of a region. null if the edge is on the border of the layout
+    findDividerAtEdge(rect, direction) {
+        const horizontal = direction === Direction.LEFT || direction === Direction.RIGHT;
+
+        return this.findNode(n => {
+            // the root and last children have no divider of their own
+            if (n.isRoot() || !Number.isFinite(n.percentage) || horizontal !== (n.axis() === AxisX)) {
+                return false;
+            }
+
+            let edge;
+            switch (direction) {
+                case Direction.LEFT:
+                    edge = rect.x;
+                    break;
+                case Direction.RIGHT:
+                    edge = rect.x + rect.width;
+                    break;
+                case Direction.UP:
+                    edge = rect.y;
+                    break;
+                case Direction.DOWN:
+                    edge = rect.y + rect.height;
+                    break;
+            }
+
+            return horizontal ?
+                n.rect.x + n.rect.width === edge && rangeOverlap(rect.y, rect.y + rect.height, n.rect.y, n.rect.y + n.rect.height) > 0 :
+                n.rect.y + n.rect.height === edge && rangeOverlap(rect.x, rect.x + rect.width, n.rect.x, n.rect.x + n.rect.width) > 0;
+        });
+    }
+
     // get the rectangle of the divider for this node, useful for grabbing and moving the divider
     getDividerRect(dividerWidth) {
         dividerWidth = Math.max(dividerWidth, 2 * this.margin);
@@ -390,6 +713,14 @@ class LayoutNode {
             json.margin = this.margin;
         }
 
+        if (this.priority !== null) {
+            json.priority = this.priority;
+        }
+
+        if (this.isVirtualMonitor) {
+            json.isVirtualMonitor = true;
+        }
+
         return json;
     }
 
@@ -407,6 +738,12 @@ class LayoutNode {
             this.margin = json.margin;
         }
 
+        if (json.priority !== undefined) {
+            this.priority = json.priority;
+        }
+
+        this.isVirtualMonitor = json.isVirtualMonitor === true;
+
         if (json.children && json.children.length > 0) {
             this.children = json.children.map(childJson => {
                 let child = new LayoutNode();
@@ -478,9 +815,20 @@ class LayoutOperation {
 }
 
 // the user can drag the divider of a node to resize it
+// dividers that line up with the divider being dragged move along with it,
+// unless <ALT> is held to move the divider on its own.
 class ResizeOperation extends LayoutOperation {
     dividerWidth = 20;
 
+    // the nodes with dividers that line up with the divider being resized, including its own node
+    linkedNodes = [];
+
+    // whether the divider being resized is moved on its own
+    isUnlinked = false;
+
+    // the percentages of the linked nodes from before the resize started
+    resizeStartPercentages = new Map();
+
     constructor(tree) {
         super(tree);
     }
@@ -504,9 +852,8 @@ class ResizeOperation extends LayoutOperation {
             return OperationResult.handledAndRedraw();
         }
         else if (resizeNode && button === Clutter.BUTTON_SECONDARY) {
-            // user is trying to stop the resizing, TODO: better to restore original state
-            this._stopResizing();
-            return OperationResult.handledAndRedraw();
+            // user is trying to stop the resizing, put the divider back where it was
+            return this.cancel();
         }
         else if (button === Clutter.BUTTON_PRIMARY) {
             // Check if clicking on a divider to start resizing
@@ -530,58 +877,138 @@ class ResizeOperation extends LayoutOperation {
     }
 
     onMotion(x, y, state) {
-        return this._handleResizing(x, y);
+        return this._handleResizing(x, y, state);
+    }
+
+    // whether a divider is being resized
+    isResizing() {
+        return this.tree.findNode(n => n.isResizing === true) !== null;
+    }
+
+    // stop resizing and restore the dividers to their positions from before the resize
+    cancel() {
+        if (!this.isResizing()) {
+            return OperationResult.notHandled();
+        }
+
+        this.resizeStartPercentages.forEach((percentage, node) => node.percentage = percentage);
+        this.tree.calculateRects();
+        this._stopResizing();
+        return OperationResult.handledAndRedraw();
     }
 
     _startResizing(nodeToResize) {
         nodeToResize.isResizing = true;
+        this.linkedNodes = this.tree.findCollinearDividers(nodeToResize);
+        this.isUnlinked = false;
+        this.resizeStartPercentages = new Map(this.linkedNodes.map(n => [n, n.percentage]));
+        this._highlightAffectedNodes(this.linkedNodes);
+    }
 
+    _highlightAffectedNodes(resizingNodes) {
         // this is just a simple trick to highlight all the nodes that are affected by resizing
-        // we just 'wiggle' the resizing node a bit and test which nodes are affected
-        const originalPercentage = nodeToResize.percentage;
+        // we just 'wiggle' the resizing nodes a bit and test which nodes are affected
+        const originalPercentages = resizingNodes.map(n => n.percentage);
         this.tree.forSelfAndDescendants(n =>
             n.originalRect = { x: n.rect.x, y: n.rect.y, width: n.rect.width, height: n.rect.height });
 
         // resize a little bit
-        nodeToResize.percentage = nodeToResize.percentage * 0.95;
+        resizingNodes.forEach(n => n.percentage = n.percentage * 0.95);
         this.tree.calculateRects();
 
         // highlight all nodes that are affected by resizing
         this.tree.forSelfAndDescendants(n => n.isHighlighted = (n.originalRect.x != n.rect.x || n.originalRect.y != n.rect.y || n.originalRect.width != n.rect.width || n.originalRect.height != n.rect.height));
 
         // revert to the original layout
-        nodeToResize.percentage = originalPercentage;
+        resizingNodes.forEach((n, i) => n.percentage = originalPercentages[i]);
         this.tree.calculateRects();
     }
 
     _stopResizing() {
+        this.linkedNodes = [];
+        this.isUnlinked = false;
+        this.resizeStartPercentages = new Map();
         this.tree.forSelfAndDescendants(n => { n.isResizing = false; n.originalRect = null; n.isHighlighted = false; });
     }
 
-    _handleResizing(x, y) {
+    _handleResizing(x, y, state = 0) {
         let resizingNode = this.tree.findNode(n => n.isResizing === true);
         if (!resizingNode) {
             return OperationResult.notHandled();
         }
 
+        const unlinked = (state & Clutter.ModifierType.MOD1_MASK) !== 0;
+        if (unlinked !== this.isUnlinked) {
+            // the linked dividers go back to where they were when they no longer move along
+            this.isUnlinked = unlinked;
+            if (unlinked) {
+                this.linkedNodes
+                    .filter(n => n !== resizingNode)
+                    .forEach(n => n.percentage = this.resizeStartPercentages.get(n));
+                this.tree.calculateRects();
+            }
+            this._highlightAffectedNodes(unlinked ? [resizingNode] : this.linkedNodes);
+        }
+
+        this.moveDividers(unlinked ? [resizingNode] : this.linkedNodes, x, y);
+
+        return OperationResult.handledAndRedraw();
+    }
+
+    // move the divider of the node to the given position on the grid, the 
+    // move is reverted if it results in an invalid layout
+    moveDivider(node, x, y) {
+        this.moveDividers([node], x, y);
+    }
+
+    // move the dividers of the nodes, which are on the same axis, together to the given position on the grid
+    moveDividers(nodes, x, y) {
+        this.setDividerPositions(nodes, nodes[0].isColumn() ? snapToGrid(x, this.tree.rect.x) : snapToGrid(y, this.tree.rect.y));
+    }
+
+    // put the dividers of the nodes, which are on the same axis, at the exact position. the
+    // change is reverted if it results in an invalid layout. returns whether the change was kept
+    setDividerPositions(nodes, position) {
         // calculate new position of divider as a percentage of screen size
-        let newPercentage = resizingNode.isColumn() ? (x - this.tree.rect.x) / this.tree.rect.width : -((y - this.tree.rect.y) / this.tree.rect.height);
+        let newPercentage = nodes[0].isColumn() ? (position - this.tree.rect.x) / this.tree.rect.width : -((position - this.tree.rect.y) / this.tree.rect.height);
 
-        // udate the percentage for the node with this divider
-        let oldPercentage = resizingNode.percentage;
-        resizingNode.percentage = newPercentage;
+        // udate the percentage for the nodes with these dividers
+        let oldPercentages = nodes.map(n => n.percentage);
+        nodes.forEach(n => n.percentage = newPercentage);
 
         // Recalculate layout
         this.tree.calculateRects();
 
         // Validate and revert if invalid
         if (!this.tree.validateRects()) {
-            resizingNode.percentage = oldPercentage;
+            nodes.forEach((n, i) => n.percentage = oldPercentages[i]);
             this.tree.calculateRects();
+            return false;
         }
+        return true;
+    }
+}
 
-        return OperationResult.handledAndRedraw();
+// split a leaf node into two regions at the given percentage. returns the new
+// node before the split and the node after the split
+function splitLeaf(splittingNode, percentage) {
+    let newNode = new LayoutNode(percentage);
+    newNode.margin = splittingNode.margin;
+
+    if (newNode.axis() === splittingNode.axis() && splittingNode.parent) {
+        // request the parent to insert a new node
+        splittingNode.parent.insertChild(newNode);
+        return [newNode, splittingNode];
     }
+
+    // moving from column to row or vice versa
+    // make this an internal node and add two children
+    let lastChild = new LayoutNode(LastNodePercentages[newNode.axis()]);
+    lastChild.parent = splittingNode;
+    lastChild.margin = splittingNode.margin;
+    newNode.parent = splittingNode;
+    splittingNode.children = [newNode, lastChild];
+    return [newNode, lastChild];
 }
 
 // the user can preview a split in the layout
@@ -622,6 +1049,16 @@ class PreviewSplitOperation extends LayoutOperation {
         return this._handlePreview(x, y, state);
     }
 
+    cancel() {
+        if (!this.prePreviewSnapshot) {
+            return OperationResult.notHandled();
+        }
+
+        this._cancel();
+        this.tree.calculateRects();
+        return OperationResult.handledAndRedraw();
+    }
+
     _cancel() {
         if (this.prePreviewSnapshot) {
             this.tree.revert(this.prePreviewSnapshot);
@@ -664,7 +1101,9 @@ class PreviewSplitOperation extends LayoutOperation {
             this.prePreviewSnapshot = this.tree.clone();
             // Create new preview split, with the current mouse position used for the percentage
             let isColumn = ctrlPressed;
-            let percentage = isColumn ? ((x - this.tree.rect.x) / this.tree.rect.width) : -((y - this.tree.rect.y) / this.tree.rect.height);
+            let percentage = isColumn ?
+                ((snapToGrid(x, this.tree.rect.x) - this.tree.rect.x) / this.tree.rect.width) :
+                -((snapToGrid(y, this.tree.rect.y) - this.tree.rect.y) / this.tree.rect.height);
             previewNode = this._startPreview(node, percentage);
 
             // check whether the initial split is valid at all, if not revert
@@ -679,7 +1118,9 @@ class PreviewSplitOperation extends LayoutOperation {
         // move around the divider on a resizing (preview)node
         if (previewNode) {
             // calculate the percentages  
-            let percentage = previewNode.isColumn() ? ((x - this.tree.rect.x) / this.tree.rect.width) : -((y - this.tree.rect.y) / this.tree.rect.height);
+            let percentage = previewNode.isColumn() ?
+                ((snapToGrid(x, this.tree.rect.x) - this.tree.rect.x) / this.tree.rect.width) :
+                -((snapToGrid(y, this.tree.rect.y) - this.tree.rect.y) / this.tree.rect.height);
 
             let oldPercentage = previewNode.percentage;
             previewNode.percentage = percentage;
@@ -701,25 +1142,10 @@ class PreviewSplitOperation extends LayoutOperation {
 
     _startPreview(splittingNode, percentage) {
         // Split a leaf node into two nodes, with the given percentage as starting point           
-        let previewNode = new LayoutNode(percentage);
+        let [previewNode, otherNode] = splitLeaf(splittingNode, percentage);
         previewNode.isPreview = true;
         previewNode.isHighlighted = true;
-        previewNode.margin = splittingNode.margin;
-
-        if (previewNode.axis() === splittingNode.axis() && splittingNode.parent) {
-            // request the parent to insert a new node
-            splittingNode.parent.insertChild(previewNode);
-            splittingNode.isHighlighted = true;
-        } else {
-            // moving from column to row or vice versa
-            // make this an internal node and add two children
-            var lastChild = new LayoutNode(LastNodePercentages[previewNode.axis()]);
-            lastChild.isHighlighted = true;
-            lastChild.parent = splittingNode;
-            lastChild.margin = splittingNode.margin;
-            previewNode.parent = splittingNode;
-            splittingNode.children = [previewNode, lastChild];
-        }
+        otherNode.isHighlighted = true;
         return previewNode;
     }
 
@@ -734,18 +1160,48 @@ class PreviewSplitOperation extends LayoutOperation {
     }
 }
 
-// the user can drag and snap a window into place
+// the user can drag and snap a window into place. holding any of the
+// #spanRegionsModifiers keys grows the selection from the region where
+// the modifier was pressed to all regions up to the pointer.
+// instead of holding a modifier, snapping can be activated by moving the
+// pointer near the edge of the layout or by pausing the pointer.
 class SnappingOperation extends LayoutOperation {
     showRegions = false;
     #enableSnappingModifiers;
+    #spanRegionsModifiers;
+
+    // the distance to the edge that activates snapping, null if
+    // snapping is activated by the modifiers instead
+    #edgeActivationDistance;
+
+    // the region where the user started spanning multiple regions
+    #spanAnchor = null;
 
-    constructor(tree, enableSnappingModifiers) {
+    // the position where the pointer paused, snapping stays 
+    // active until the pointer moves away from this position
+    #pausePosition = null;
+
+    constructor(tree, enableSnappingModifiers, spanRegionsModifiers = [], edgeActivationDistance = null) {
         super(tree);
         this.#enableSnappingModifiers = enableSnappingModifiers;
+        this.#spanRegionsModifiers = spanRegionsModifiers;
+        this.#edgeActivationDistance = edgeActivationDistance;
+    }
+
+    // the pointer has not moved for a while, which activates snapping when edge activation is used
+    onPointerPaused(x, y, state) {
+        if (this.#edgeActivationDistance === null || !this.tree.findNodeAtPosition(x, y)) {
+            return OperationResult.notHandled();
+        }
+
+        this.#pausePosition = { x: x, y: y };
+        return this.onMotion(x, y, state);
     }
 
     onMotion(x, y, state) {
-        var snappingEnabled = this.#enableSnappingModifiers.length == 0 || this.#enableSnappingModifiers.some((e) => (state & e));
+        var snappingEnabled = this.#edgeActivationDistance !== null ?
+            this.#isEdgeActivated(x, y) :
+            this.#enableSnappingModifiers.length == 0 || this.#enableSnappingModifiers.some((e) => (state & e));
 
         if (!snappingEnabled) {
             return this.cancel();
@@ -760,25 +1216,60 @@ class SnappingOperation extends LayoutOperation {
         // activate the region to snap into
         this.showRegions = true;
 
+        let spanning = this.#spanRegionsModifiers.some((e) => (state & e));
+        if (!spanning) {
+            this.#spanAnchor = null;
+        } else if (!this.#spanAnchor) {
+            this.#spanAnchor = node;
+        }
+
+        let destinations = spanning ? this.tree.findLeavesSpanning(this.#spanAnchor, node) : [node];
+
         this.tree.forSelfAndDescendants(n => {
             n.isSnappingDestination = false;
             n.isHighlighted = false;
         });
-        node.isSnappingDestination = true;
-        node.isHighlighted = true;
+        for (let destination of destinations) {
+            destination.isSnappingDestination = true;
+            destination.isHighlighted = true;
+        }
 
         return OperationResult.handledAndRedraw();
     }
 
+    // snapping is active when the pointer is near the edge of the 
+    // layout or has not moved away from where it paused
+    #isEdgeActivated(x, y) {
+        const distance = this.#edgeActivationDistance;
+
+        if (this.#pausePosition && Math.hypot(x - this.#pausePosition.x, y - this.#pausePosition.y) > distance) {
+            this.#pausePosition = null;
+        }
+
+        const rect = this.tree.rect;
+        const isInside = x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+        const distanceToEdge = Math.min(x - rect.x, rect.x + rect.width - x, y - rect.y, rect.y + rect.height - y);
+
+        return (isInside && distanceToEdge <= distance) || this.#pausePosition !== null;
+    }
+
+    // the regions the window will be snapped into, if any
+    currentSnapToNodes() {
+        return this.tree.leaves().filter(n => n.isSnappingDestination);
+    }
+
     currentSnapToRect() {
-        var snapToNode = this.tree.findNode(n => n.isSnappingDestination);
-        if (!snapToNode) {
+        const snapToNodes = this.currentSnapToNodes();
+        if (snapToNodes.length === 0) {
             return null;
         }
-        return snapToNode.snapRect();
+        return boundingRect(snapToNodes.map(n => n.snapRect()));
     }
 
     cancel() {
+        this.#spanAnchor = null;
+        this.#pausePosition = null;
+
         if (this.showRegions) {
             this.showRegions = false;
             this.tree.forSelfAndDescendants(n => {
@@ -794,6 +1285,270 @@ class SnappingOperation extends LayoutOperation {
 }
 
 
+// the user can edit the layout with the keyboard only. the arrow keys move the focus between
+// regions, <C> and <R> split the focused region in columns or rows at its midpoint, 
+// <SHIFT>+arrows nudge the divider of the focused region and <DELETE> removes it.
+class KeyboardEditOperation extends LayoutOperation {
+    #focusedNode = null;
+    #resizeOperation;
+
+    // the operations to cancel before the layout is edited, e.g. a preview started by holding <SHIFT>
+    #operationsToCancel;
+
+    constructor(tree, operationsToCancel = []) {
+        super(tree);
+        this.#resizeOperation = new ResizeOperation(tree);
+        this.#operationsToCancel = operationsToCancel;
+    }
+
+    onKeyPress(x, y, state, key) {
+        const shiftPressed = (state & Clutter.ModifierType.SHIFT_MASK) !== 0;
+        const direction = {
+            [Clutter.KEY_Left]: Direction.LEFT,
+            [Clutter.KEY_Right]: Direction.RIGHT,
+            [Clutter.KEY_Up]: Direction.UP,
+            [Clutter.KEY_Down]: Direction.DOWN
+        }[key];
+
+        if (direction) {
+            this.#operationsToCancel.forEach(operation => operation.cancel());
+            return shiftPressed ? this.#nudgeDivider(direction) : this.#moveFocus(x, y, direction);
+        }
+
+        if (key === Clutter.KEY_c || key === Clutter.KEY_C || key === Clutter.KEY_r || key === Clutter.KEY_R) {
+            this.#operationsToCancel.forEach(operation => operation.cancel());
+            return this.#splitFocusedNode(key === Clutter.KEY_c || key === Clutter.KEY_C);
+        }
+
+        if (key === Clutter.KEY_Delete || key === Clutter.KEY_BackSpace) {
+            this.#operationsToCancel.forEach(operation => operation.cancel());
+            return this.#deleteDivider();
+        }
+
+        return OperationResult.notHandled();
+    }
+
+    // remove the focus, so the focused region is not drawn with a thick border outside the editor
+    cancel() {
+        this.#setFocus(null);
+        return OperationResult.handledAndRedraw();
+    }
+
+    // the focused leaf, null when there is none or when it is no longer part
+    // of the layout, e.g. after the layout has been replaced by a preset
+    #currentFocus() {
+        if (this.#focusedNode && this.tree.leaves().includes(this.#focusedNode)) {
+            return this.#focusedNode;
+        }
+        return null;
+    }
+
+    #setFocus(node) {
+        this.tree.forSelfAndDescendants(n => n.isFocused = false);
+        this.#focusedNode = node;
+        if (node) {
+            node.isFocused = true;
+        }
+    }
+
+    #moveFocus(x, y, direction) {
+        const focusedNode = this.#currentFocus();
+        if (!focusedNode) {
+            // start at the region under the pointer
+            this.#setFocus(this.tree.findNodeAtPosition(x, y) || this.tree.leaves()[0]);
+            return OperationResult.handledAndRedraw();
+        }
+
+        const neighbour = this.tree.findNeighbourLeaf(focusedNode.rect, direction);
+        if (neighbour) {
+            this.#setFocus(neighbour);
+        }
+        return OperationResult.handledAndRedraw();
+    }
+
+    #splitFocusedNode(isColumn) {
+        const focusedNode = this.#currentFocus();
+        if (!focusedNode) {
+            return OperationResult.handled();
+        }
+
+        const rect = focusedNode.rect;
+        const percentage = isColumn ?
+            (rect.x + rect.width / 2 - this.tree.rect.x) / this.tree.rect.width :
+            -((rect.y + rect.height / 2 - this.tree.rect.y) / this.tree.rect.height);
+
+        const snapshot = this.tree.clone();
+        const [newNode] = splitLeaf(focusedNode, percentage);
+        this.tree.calculateRects();
+
+        // the region may be too small to split
+        if (!this.tree.validateRects()) {
+            this.tree.revert(snapshot);
+            this.tree.calculateRects();
+            this.#setFocus(null);
+            return OperationResult.handledAndRedraw();
+        }
+
+        this.#setFocus(newNode);
+        return OperationResult.handledAndRedraw();
+    }
+
+    // move the divider on the right (or left) edge of the focused region for left and right,
+    // and the divider on the bottom (or top) edge for up and down. the dividers in line
+    // with it move along, like when dragging the divider
+    #nudgeDivider(direction) {
+        const focusedNode = this.#currentFocus();
+        if (!focusedNode) {
+            return OperationResult.handled();
+        }
+
+        const horizontal = direction === Direction.LEFT || direction === Direction.RIGHT;
+        const node = horizontal ?
+            this.tree.findDividerAtEdge(focusedNode.rect, Direction.RIGHT) || this.tree.findDividerAtEdge(focusedNode.rect, Direction.LEFT) :
+            this.tree.findDividerAtEdge(focusedNode.rect, Direction.DOWN) || this.tree.findDividerAtEdge(focusedNode.rect, Direction.UP);
+        if (!node) {
+            return OperationResult.handled();
+        }
+
+        const step = direction === Direction.LEFT || direction === Direction.UP ? -NudgeStep : NudgeStep;
+        this.#resizeOperation.moveDividers(
+            this.tree.findCollinearDividers(node),
+            node.rect.x + node.rect.width + (horizontal ? step : 0),
+            node.rect.y + node.rect.height + (horizontal ? 0 : step));
+        return OperationResult.handledAndRedraw();
+    }
+
+    // remove the divider on the right or bottom edge of the focused region, or else
+    // the divider on its left or top edge. the focus stays at the same position
+    #deleteDivider() {
+        const focusedNode = this.#currentFocus();
+        if (!focusedNode || focusedNode.isRoot()) {
+            return OperationResult.handled();
+        }
+
+        const siblings = focusedNode.parent.children;
+        const nodeWithDivider = Number.isFinite(focusedNode.percentage) ?
+            focusedNode :
+            siblings[siblings.indexOf(focusedNode) - 1];
+
+        const rect = focusedNode.rect;
+        this.tree.delete(nodeWithDivider);
+        this.tree.calculateRects();
+        this.#setFocus(this.tree.findNodeAtPosition(rect.x + rect.width / 2, rect.y + rect.height / 2));
+        return OperationResult.handledAndRedraw();
+    }
+}
+
+// the user can mark a top-level region as virtual monitor, or unmark it again. virtual
+// monitors do not nest, so marking a region unmarks the regions inside it.
+class VirtualMonitorOperation extends LayoutOperation {
+    constructor(tree) {
+        super(tree);
+    }
+
+    onKeyPress(x, y, state, key) {
+        if (key !== Clutter.KEY_v && key !== Clutter.KEY_V) {
+            return OperationResult.notHandled();
+        }
+
+        const virtualMonitor = this.tree.findVirtualMonitorAtPosition(x, y);
+        if (virtualMonitor) {
+            virtualMonitor.isVirtualMonitor = false;
+            return OperationResult.handledAndRedraw();
+        }
+
+        // the top-level region is the ancestor of the region at the pointer just below the root
+        let node = this.tree.findNodeAtPosition(x, y);
+        while (node && node.parent && !node.parent.isRoot()) {
+            node = node.parent;
+        }
+        if (!node || node.isRoot()) {
+            return OperationResult.handled();
+        }
+
+        node.forDescendants(n => n.isVirtualMonitor = false);
+        node.isVirtualMonitor = true;
+        return OperationResult.handledAndRedraw();
+    }
+}
+
+// the user can undo and redo changes to the layout with <CTRL>+Z and <CTRL>+<SHIFT>+Z.
+// a snapshot is taken at each checkpoint where the layout has changed and no change
+// is in progress, e.g. once a divider is released instead of for every step of the drag.
+class HistoryOperation extends LayoutOperation {
+    #undoSnapshots = [];
+    #redoSnapshots = [];
+
+    // the snapshot of the layout at the last checkpoint and its JSON to detect changes
+    #current;
+    #currentJson;
+
+    // the operations to cancel before the layout is restored, e.g. a preview in progress
+    #operationsToCancel;
+
+    constructor(tree, operationsToCancel = []) {
+        super(tree);
+        this.#operationsToCancel = operationsToCancel;
+        this.#current = tree.clone();
+        this.#currentJson = JSON.stringify(tree.toJSON());
+    }
+
+    // take a snapshot if the layout has changed since the last checkpoint, to be 
+    // called once an edit is finished rather than for every event while editing
+    checkpoint() {
+        if (this.tree.findNode(n => n.isPreview || n.isResizing)) {
+            return;
+        }
+
+        const json = JSON.stringify(this.tree.toJSON());
+        if (json === this.#currentJson) {
+            return;
+        }
+
+        this.#undoSnapshots.push(this.#current);
+        if (this.#undoSnapshots.length > HistoryLimit) {
+            this.#undoSnapshots.shift();
+        }
+        this.#redoSnapshots = [];
+
+        this.#current = this.tree.clone();
+        this.#currentJson = json;
+    }
+
+    onKeyPress(x, y, state, key) {
+        const ctrlPressed = (state & Clutter.ModifierType.CONTROL_MASK) !== 0;
+        const shiftPressed = (state & Clutter.ModifierType.SHIFT_MASK) !== 0;
+        if (!ctrlPressed || (key !== Clutter.KEY_z && key !== Clutter.KEY_Z)) {
+            return OperationResult.notHandled();
+        }
+
+        this.#operationsToCancel.forEach(operation => operation.cancel());
+
+        // the layout may have changed since the last checkpoint, so restoring starts from there
+        this.checkpoint();
+
+        const [from, to] = shiftPressed ?
+            [this.#redoSnapshots, this.#undoSnapshots] :
+            [this.#undoSnapshots, this.#redoSnapshots];
+        if (from.length === 0) {
+            return OperationResult.handledAndRedraw();
+        }
+
+        to.push(this.#current);
+        this.#restore(from.pop());
+        return OperationResult.handledAndRedraw();
+    }
+
+    #restore(snapshot) {
+        // revert to a clone, as reverting takes over the nodes of the snapshot
+        this.tree.revert(snapshot.clone());
+        this.tree.calculateRects();
+
+        this.#current = snapshot;
+        this.#currentJson = JSON.stringify(this.tree.toJSON());
+    }
+}
+
 // the user can increase the spacings between the layoutregions
 class MarginsOperation extends LayoutOperation {
     _marginMin = 0;
@@ -860,11 +1615,17 @@ class PresetShortcutOperation extends LayoutOperation {
 
 // Export the module
 module.exports = {
+    Direction,
     LayoutNode,
     LayoutOperation,
     ResizeOperation,
     PreviewSplitOperation,
+    HistoryOperation,
+    KeyboardEditOperation,
     SnappingOperation,
     MarginsOperation,
-    PresetShortcutOperation
+    PresetShortcutOperation,
+    VirtualMonitorOperation,
+    boundingRect,
+    rectsEqual
 }; 
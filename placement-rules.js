@@ -0,0 +1,93 @@
+// placement rules send new windows straight to a region of a layout. the rules are 
+// stored as a JSON list in rules.json next to the layout files, for example:
+//
+// [
+//     { "wmClass": "Slack", "display": 2, "region": 3 },
+//     { "wmClass": "Gnome-terminal", "title": "^build", "workspace": 1, "region": 4 }
+// ]
+//
+// wmClass matches the WM_CLASS class or instance of the window (case insensitive),
+// title is a regular expression matched against the window title and workspace 
+// matches the workspace the window opens on. all of them are optional, but a rule
+// has to specify at least one. region is required and refers to a region in the order
+// of the numbers shown by the region picker. display is the display to place the
+// window on, the display the window opens on if not given. display, workspace and 
+// region are numbered from 1. the first matching rule wins.
+
+// whether the rule has the required properties with valid values
+function isValidRule(rule) {
+    if (!rule || !Number.isInteger(rule.region) || rule.region < 1) {
+        return false;
+    }
+    if (rule.display !== undefined && (!Number.isInteger(rule.display) || rule.display < 1)) {
+        return false;
+    }
+    if (rule.wmClass !== undefined && typeof rule.wmClass !== 'string') {
+        return false;
+    }
+    if (rule.workspace !== undefined && (!Number.isInteger(rule.workspace) || rule.workspace < 1)) {
+        return false;
+    }
+    if (rule.title !== undefined) {
+        if (typeof rule.title !== 'string') {
+            return false;
+        }
+        try {
+            new RegExp(rule.title);
+        } catch (e) {
+            return false;
+        }
+    }
+    return rule.wmClass !== undefined || rule.title !== undefined || rule.workspace !== undefined;
+}
+
+class PlacementRules {
+    #rules = [];
+
+    constructor(rules = []) {
+        for (let rule of rules) {
+            if (isValidRule(rule)) {
+                this.#rules.push(rule);
+            } else {
+                global.logError('Ignoring invalid placement rule: ' + JSON.stringify(rule));
+            }
+        }
+    }
+
+    // the first rule matching the window, or null if there is none
+    findRule(window) {
+        return this.#rules.find(rule => this.#matches(rule, window)) || null;
+    }
+
+    // whether any rule matches on the title, which may change after the window is created
+    hasTitleRules() {
+        return this.#rules.some(rule => rule.title !== undefined);
+    }
+
+    #matches(rule, window) {
+        if (rule.wmClass !== undefined) {
+            const wmClass = rule.wmClass.toLowerCase();
+            const windowClasses = [window.get_wm_class(), window.get_wm_class_instance()]
+                .filter(c => c)
+                .map(c => c.toLowerCase());
+            if (!windowClasses.includes(wmClass)) {
+                return false;
+            }
+        }
+
+        if (rule.title !== undefined && !new RegExp(rule.title).test(window.get_title() || '')) {
+            return false;
+        }
+
+        if (rule.workspace !== undefined) {
+            const workspace = window.get_workspace();
+            if (!workspace || workspace.index() + 1 !== rule.workspace) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+}
+
+module.exports = { PlacementRules };
@@ -0,0 +1,230 @@
+const Cairo = imports.cairo;
+const Clutter = imports.gi.Clutter;
+const GLib = imports.gi.GLib;
+const Main = imports.ui.main;
+const St = imports.gi.St;
+
+const { drawCenteredText, drawLayout } = require('./drawing');
+const { getUsableScreenArea } = require('./window-utils');
+
+const DigitKeys = [
+    Clutter.KEY_0, Clutter.KEY_1, Clutter.KEY_2, Clutter.KEY_3, Clutter.KEY_4,
+    Clutter.KEY_5, Clutter.KEY_6, Clutter.KEY_7, Clutter.KEY_8, Clutter.KEY_9
+];
+
+const KeypadDigitKeys = [
+    Clutter.KEY_KP_0, Clutter.KEY_KP_1, Clutter.KEY_KP_2, Clutter.KEY_KP_3, Clutter.KEY_KP_4,
+    Clutter.KEY_KP_5, Clutter.KEY_KP_6, Clutter.KEY_KP_7, Clutter.KEY_KP_8, Clutter.KEY_KP_9
+];
+
+// the delay after typing a number that could be the start of a longer number, in milliseconds
+const NumberTypingDelay = 1000;
+
+// the region picker shows the layout of a display with a number on each region.
+// the user picks a region by typing its number or by clicking it, after which
+// the onPick callback is called with the leaf node of the picked region. with 10
+// or more regions, a number that could be the start of a longer number is picked 
+// after a short delay or on <ENTER>.
+class RegionPicker {
+    #colors;
+    #workArea;
+    #textColor;
+
+    // the layout tree to pick a region from
+    #layoutTree;
+
+    // the regions in the order of their numbers
+    #leaves;
+
+    // the number typed so far and the timeout to pick its region
+    #typedNumber = 0;
+    #typingTimeoutId = 0;
+
+    // UI actors
+    #modalBackground;
+    #drawingArea;
+
+    // the callbacks for a picked region and for closing the picker
+    #onPick;
+    #onClose;
+
+    constructor(displayIdx, layoutTree, colors, onPick, onClose) {
+        this.#layoutTree = layoutTree;
+        this.#colors = colors;
+        this.#onPick = onPick;
+        this.#onClose = onClose;
+
+        this.#workArea = getUsableScreenArea(displayIdx);
+        this.#layoutTree.calculateRects(this.#workArea.x, this.#workArea.y, this.#workArea.width, this.#workArea.height);
+        this.#leaves = this.#layoutTree.leaves();
+
+        this.#drawingArea = new St.DrawingArea({
+            reactive: true,
+            can_focus: true
+        });
+        this.#drawingArea.connect('repaint', (area) => { this.#onRepaint(area); });
+        this.#drawingArea.connect('motion-event', this.#onMotion.bind(this));
+        this.#drawingArea.connect('button-press-event', this.#onButtonPress.bind(this));
+
+        this.#modalBackground = new St.Bin({
+            style_class: 'modal-background',
+            reactive: true,
+            can_focus: true,
+            style: 'background-color: rgba(0, 0, 0, 0.3);',
+            track_hover: true
+        });
+        this.#modalBackground.set_position(this.#workArea.x, this.#workArea.y);
+        this.#modalBackground.set_size(this.#workArea.width, this.#workArea.height);
+        this.#modalBackground.connect('key-press-event', this.#onKeyPress.bind(this));
+        this.#modalBackground.set_fill(true, true);
+        this.#modalBackground.set_child(this.#drawingArea);
+
+        Main.pushModal(this.#modalBackground);
+        Main.uiGroup.add_actor(this.#modalBackground);
+
+        // the themed foreground color should contrast with the themed regions
+        const foregroundColor = this.#modalBackground.get_theme_node().get_foreground_color();
+        this.#textColor = {
+            r: foregroundColor.red / 255,
+            g: foregroundColor.green / 255,
+            b: foregroundColor.blue / 255,
+            a: foregroundColor.alpha / 255
+        };
+    }
+
+    destroy() {
+        this.#stopTypingTimeout();
+
+        Main.popModal(this.#modalBackground);
+        Main.uiGroup.remove_actor(this.#modalBackground);
+
+        this.#layoutTree.forSelfAndDescendants(n => n.isHighlighted = false);
+
+        this.#modalBackground = null;
+        this.#drawingArea = null;
+        this.#layoutTree = null;
+        this.#leaves = null;
+    }
+
+    #pick(leaf) {
+        this.#onPick(leaf);
+        this.#onClose(this);
+    }
+
+    #onRepaint(area) {
+        let cr = area.get_context();
+
+        // Clear the drawing area (make it transparent)
+        cr.setOperator(Cairo.Operator.CLEAR);
+        cr.paint();
+        cr.setOperator(Cairo.Operator.OVER);
+
+        let [actorX, actorY] = area.get_transformed_position();
+        drawLayout(cr, this.#layoutTree, { x: actorX, y: actorY }, this.#colors);
+
+        // put the number of each region in its center
+        for (let i = 0; i < this.#leaves.length; i++) {
+            const rect = this.#leaves[i].rect;
+            drawCenteredText(
+                cr,
+                (i + 1).toString(),
+                { x: rect.x - actorX, y: rect.y - actorY, width: rect.width, height: rect.height },
+                this.#textColor);
+        }
+
+        cr.$dispose();
+    }
+
+    #onMotion(actor, event) {
+        let [x, y] = global.get_pointer();
+
+        const hoveredLeaf = this.#layoutTree.findNodeAtPosition(x, y);
+        this.#layoutTree.forSelfAndDescendants(n => n.isHighlighted = n === hoveredLeaf);
+        this.#drawingArea.queue_repaint();
+
+        return Clutter.EVENT_STOP;
+    }
+
+    #onButtonPress(actor, event) {
+        let [x, y] = global.get_pointer();
+
+        const clickedLeaf = this.#layoutTree.findNodeAtPosition(x, y);
+        if (clickedLeaf && event.get_button() === Clutter.BUTTON_PRIMARY) {
+            this.#pick(clickedLeaf);
+        } else {
+            this.#onClose(this);
+        }
+
+        return Clutter.EVENT_STOP;
+    }
+
+    #onKeyPress(actor, event) {
+        const key = event.get_key_symbol();
+
+        if (key === Clutter.KEY_Escape) {
+            this.#onClose(this);
+            return Clutter.EVENT_STOP;
+        }
+
+        if ((key === Clutter.KEY_Return || key === Clutter.KEY_KP_Enter) && this.#typedNumber > 0) {
+            this.#pickTypedNumber();
+            return Clutter.EVENT_STOP;
+        }
+
+        let digit = DigitKeys.indexOf(key);
+        if (digit === -1) {
+            digit = KeypadDigitKeys.indexOf(key);
+        }
+        if (digit !== -1) {
+            this.#typeDigit(digit);
+        }
+
+        return Clutter.EVENT_STOP;
+    }
+
+    // add the digit to the typed number. the region is picked right away
+    // when no other region number starts with the typed number
+    #typeDigit(digit) {
+        this.#stopTypingTimeout();
+
+        const number = this.#typedNumber * 10 + digit;
+        if (number < 1 || number > this.#leaves.length) {
+            this.#typedNumber = 0;
+            this.#highlightTypedNumber();
+            return;
+        }
+
+        this.#typedNumber = number;
+        if (number * 10 > this.#leaves.length) {
+            this.#pickTypedNumber();
+            return;
+        }
+
+        this.#highlightTypedNumber();
+        this.#typingTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, NumberTypingDelay, () => {
+            this.#typingTimeoutId = 0;
+            this.#pickTypedNumber();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    #pickTypedNumber() {
+        this.#stopTypingTimeout();
+        this.#pick(this.#leaves[this.#typedNumber - 1]);
+    }
+
+    #highlightTypedNumber() {
+        const typedLeaf = this.#leaves[this.#typedNumber - 1];
+        this.#layoutTree.forSelfAndDescendants(n => n.isHighlighted = n === typedLeaf);
+        this.#drawingArea.queue_repaint();
+    }
+
+    #stopTypingTimeout() {
+        if (this.#typingTimeoutId) {
+            GLib.source_remove(this.#typingTimeoutId);
+            this.#typingTimeoutId = 0;
+        }
+    }
+}
+
+module.exports = { RegionPicker };
@@ -0,0 +1,71 @@
+const Cairo = imports.cairo;
+const Main = imports.ui.main;
+const St = imports.gi.St;
+
+const { drawStackTabs } = require('./drawing');
+
+const TabWidth = 40;
+const TabHeight = 8;
+const TopOffset = 4;
+
+// the stack indicator shows a small strip of tabs at the top of a region, 
+// one tab for each window stacked in the region with the raised window highlighted
+class StackIndicator {
+    #drawingArea;
+    #count = 0;
+    #activeIdx = -1;
+    #colors;
+
+    constructor(regionRect, count, activeIdx, colors) {
+        this.#colors = colors;
+
+        this.#drawingArea = new St.DrawingArea({
+            reactive: false,
+            can_focus: false
+        });
+        this.#drawingArea.connect('repaint', (area) => { this.#onRepaint(area); });
+        Main.uiGroup.add_actor(this.#drawingArea);
+
+        this.update(regionRect, count, activeIdx);
+    }
+
+    // move the indicator to the region and show the number of windows and the raised window,
+    // it is only redrawn when these changed
+    update(regionRect, count, activeIdx) {
+        const width = Math.round(Math.min(regionRect.width / 3, count * TabWidth));
+        const x = Math.round(regionRect.x + (regionRect.width - width) / 2);
+        const y = regionRect.y + TopOffset;
+
+        if (this.#drawingArea.width !== width || this.#drawingArea.x !== x || this.#drawingArea.y !== y) {
+            this.#drawingArea.set_size(width, TabHeight);
+            this.#drawingArea.set_position(x, y);
+        }
+
+        if (count !== this.#count || activeIdx !== this.#activeIdx) {
+            this.#count = count;
+            this.#activeIdx = activeIdx;
+            this.#drawingArea.queue_repaint();
+        }
+    }
+
+    destroy() {
+        Main.uiGroup.remove_actor(this.#drawingArea);
+        this.#drawingArea.destroy();
+        this.#drawingArea = null;
+    }
+
+    #onRepaint(area) {
+        let cr = area.get_context();
+
+        cr.setOperator(Cairo.Operator.CLEAR);
+        cr.paint();
+        cr.setOperator(Cairo.Operator.OVER);
+
+        const [width, height] = area.get_surface_size();
+        drawStackTabs(cr, { x: 0, y: 0, width: width, height: height }, this.#count, this.#activeIdx, this.#colors);
+
+        cr.$dispose();
+    }
+}
+
+module.exports = { StackIndicator };
@@ -1,22 +1,36 @@
 const Cairo = imports.cairo;
+const Cinnamon = imports.gi.Cinnamon;
+const GLib = imports.gi.GLib;
 const Main = imports.ui.main;
 const SignalManager = imports.misc.signalManager;
 const St = imports.gi.St;
 
-const { drawLayout } = require('./drawing');
-const { snapToRect, getUsableScreenArea } = require('./window-utils');
+const { DefaultColors, drawCenteredText, drawGhostRect, drawLayout } = require('./drawing');
+const { Alignment, predictSnappedRect, getUsableScreenArea } = require('./window-utils');
 const { SnappingOperation } = require('./node_tree');
 
+const GhostIconSize = 48;
+const MaxGhostTitleLength = 60;
+
+function truncateTitle(title) {
+    return title.length > MaxGhostTitleLength ? title.substring(0, MaxGhostTitleLength - 1) + '…' : title;
+}
+
 // the WindowSnapper is used to snap a window to the given layout
 // when the user is dragging a window to a new position and it 
 // holds any of the #enableSnappingModifiers keys down the layout region where the mouse is
 // hovering over will be highlighted. when the user ends the dragging
 // whilst holding any of the #enableSnappingModifiers keys down the window will be snapped
-// to the layout region.
+// to the layout region. holding any of the #spanRegionsModifiers keys as well
+// selects all regions between where the key was pressed and the mouse.
+// an outline of the geometry the window will get is shown on top of the regions.
+// with edge activation, the regions are shown when the mouse gets near the edge 
+// of the display or pauses instead of when a modifier key is held.
 class WindowSnapper {
     // UI actor
     #container
     #drawingArea;
+    #ghostIcon = null;
 
     // the window that is being dragged and needs to be snapped
     #window;
@@ -27,12 +41,29 @@ class WindowSnapper {
     // the snapping operation
     #snappingOperation;
 
+    // the display the layout belongs to
+    #displayIdx;
+
     // the modifier key to enable snapping
     #enableSnappingModifiers;
 
+    // the modifier key to span the window across multiple regions
+    #spanRegionsModifiers;
+
+    // the edge distance and pause delay that activate snapping, null to use the modifiers
+    #edgeActivation;
+
+    // the alignment of the window in the region when it cannot fill the region exactly
+    #alignment;
+
+    // the timeout to detect that the mouse pauses
+    #pauseTimeoutId = 0;
+
     #signals = new SignalManager.SignalManager(null);
 
-    constructor(displayIdx, layout, window, enableSnappingModifiers) {
+    constructor(displayIdx, layout, window, enableSnappingModifiers, spanRegionsModifiers, edgeActivation = null, alignment = Alignment.CENTER) {
+        this.#displayIdx = displayIdx;
+
         // the layout to use for the snapping operation
         this.#layout = layout;
 
@@ -42,6 +73,13 @@ class WindowSnapper {
         // the modifier key to enable snapping
         this.#enableSnappingModifiers = enableSnappingModifiers;
 
+        // the modifier key to span the window across multiple regions
+        this.#spanRegionsModifiers = spanRegionsModifiers;
+
+        // the edge distance and pause delay that activate snapping
+        this.#edgeActivation = edgeActivation;
+        this.#alignment = alignment;
+
         // get the size of the display
         let workArea = getUsableScreenArea(displayIdx);
 
@@ -63,29 +101,50 @@ class WindowSnapper {
 
         Main.uiGroup.add_actor(this.#container);
 
+        // the icon of the application shown in the outline of the snapped window
+        const app = Cinnamon.WindowTracker.get_default().get_window_app(window);
+        if (app) {
+            this.#ghostIcon = app.create_icon_texture(GhostIconSize);
+            this.#ghostIcon.hide();
+            Main.uiGroup.add_actor(this.#ghostIcon);
+        }
+
         // ensure the layout is correct for the snap area
         this.#layout.calculateRects(workArea.x, workArea.y, workArea.width, workArea.height);
-        this.#snappingOperation = new SnappingOperation(this.#layout, this.#enableSnappingModifiers);
+        this.#snappingOperation = new SnappingOperation(
+            this.#layout,
+            this.#enableSnappingModifiers,
+            this.#spanRegionsModifiers,
+            this.#edgeActivation ? this.#edgeActivation.distance : null);
 
         this.#signals.connect(this.#window, 'position-changed', this.#onWindowMoved.bind(this));
     }
 
-    // snap if the user wants to
+    // end the snapping, returns the layout, display and leaf nodes the user wants
+    // to snap the window into, or null if the window is not to be snapped
     finalize() {
-        const snappingRect = this.#snappingOperation.currentSnapToRect();
-        if (snappingRect) {
-            // the user wants to snap, resize the window to the region
-            snapToRect(this.#window, snappingRect);
+        let result = null;
+
+        if (this.#snappingOperation.currentSnapToRect()) {
+            result = {
+                layout: this.#layout,
+                displayIdx: this.#displayIdx,
+                nodes: this.#snappingOperation.currentSnapToNodes()
+            };
         }
 
         this.#snappingOperation.cancel();
         this.#snappingOperation = null;
+
+        return result;
     }
 
     destroy() {
         this.#signals.disconnectAllSignals();
         this.#signals = null;
 
+        this.#stopPauseTimeout();
+
         if (this.#snappingOperation) {
             this.#snappingOperation.cancel();
             this.#snappingOperation = null;
@@ -93,6 +152,13 @@ class WindowSnapper {
 
         Main.uiGroup.remove_actor(this.#container);
         this.#container = null;
+
+        if (this.#ghostIcon) {
+            Main.uiGroup.remove_actor(this.#ghostIcon);
+            this.#ghostIcon.destroy();
+            this.#ghostIcon = null;
+        }
+
         this.#drawingArea = null;
         this.#layout = null;
     }
@@ -112,11 +178,51 @@ class WindowSnapper {
                 this.#snappingOperation.tree,
                 { x: x, y: y, width: area.get_width(), height: area.get_height() },
                 this.colors);
+
+            const ghostRect = this.#currentGhostRect();
+            if (ghostRect) {
+                const localRect = { x: ghostRect.x - x, y: ghostRect.y - y, width: ghostRect.width, height: ghostRect.height };
+                drawGhostRect(cr, localRect, this.colors);
+
+                // the title goes below the icon, within the outline
+                const title = this.#window.get_title();
+                const titleRect = {
+                    x: localRect.x,
+                    y: localRect.y + GhostIconSize,
+                    width: localRect.width,
+                    height: Math.max(0, localRect.height - GhostIconSize)
+                };
+                if (title && titleRect.height > GhostIconSize) {
+                    drawCenteredText(cr, truncateTitle(title), titleRect, (this.colors || DefaultColors).border, 18);
+                }
+            }
         }
 
         cr.$dispose();
     }
 
+    // the frame rectangle the window will get when it is dropped now
+    #currentGhostRect() {
+        const snappingRect = this.#snappingOperation && this.#snappingOperation.currentSnapToRect();
+        return snappingRect ? predictSnappedRect(this.#window, snappingRect, this.#alignment) : null;
+    }
+
+    #updateGhostIcon() {
+        if (!this.#ghostIcon) {
+            return;
+        }
+
+        const ghostRect = this.#currentGhostRect();
+        if (ghostRect && this.#snappingOperation.showRegions) {
+            this.#ghostIcon.set_position(
+                Math.round(ghostRect.x + (ghostRect.width - GhostIconSize) / 2),
+                Math.round(ghostRect.y + (ghostRect.height - GhostIconSize) / 2 - GhostIconSize / 2));
+            this.#ghostIcon.show();
+        } else {
+            this.#ghostIcon.hide();
+        }
+    }
+
     #onWindowMoved(actor, event) {
         if (!this.#snappingOperation) {
             return;
@@ -124,12 +230,40 @@ class WindowSnapper {
 
         let [x, y, state] = global.get_pointer();
 
-        let result = this.#snappingOperation.onMotion(x, y, state);
+        this.#handleOperationResult(this.#snappingOperation.onMotion(x, y, state));
+
+        if (this.#edgeActivation && this.#edgeActivation.pauseDelay > 0) {
+            this.#startPauseTimeout();
+        }
+    }
+
+    // (re)start the timeout that fires when the mouse has not moved for the pause delay
+    #startPauseTimeout() {
+        this.#stopPauseTimeout();
+        this.#pauseTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, this.#edgeActivation.pauseDelay, () => {
+            this.#pauseTimeoutId = 0;
+            if (this.#snappingOperation) {
+                let [x, y, state] = global.get_pointer();
+                this.#handleOperationResult(this.#snappingOperation.onPointerPaused(x, y, state));
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    #stopPauseTimeout() {
+        if (this.#pauseTimeoutId) {
+            GLib.source_remove(this.#pauseTimeoutId);
+            this.#pauseTimeoutId = 0;
+        }
+    }
+
+    #handleOperationResult(result) {
         if (result && result.shouldRedraw) {
             if (this.#snappingOperation.showRegions) {
                 this.#container.show();
             }
             this.#drawingArea.queue_repaint();
+            this.#updateGhostIcon();
         }
     }
 }
@@ -0,0 +1,82 @@
+const SignalManager = imports.misc.signalManager;
+
+// the window tracker keeps track of the windows that are snapped into layout
+// regions: the layout, display and leaf nodes a window is snapped into, together
+// with the frame rectangle the window had before it was snapped and the leaf 
+// nodes it covers once it is snapped (regionNodes)
+class WindowTracker {
+    // the snapped windows mapped to their tracking entries
+    #entries = new Map();
+
+    #signals = new SignalManager.SignalManager(null);
+
+    // the callback to call when windows are tracked or untracked
+    #onChanged;
+
+    constructor(onChanged = () => { }) {
+        this.#onChanged = onChanged;
+    }
+
+    destroy() {
+        this.#signals.disconnectAllSignals();
+        this.#signals = null;
+        this.#entries.clear();
+    }
+
+    // register the window as snapped into the given leaf nodes of the layout. the original
+    // rectangle is only recorded the first time, so a window moved between regions keeps 
+    // its pre-snap size. the window is put on top of the stack of windows in its regions.
+    track(window, originalRect, layout, displayIdx, nodes) {
+        let entry = this.#entries.get(window);
+        if (!entry) {
+            entry = {
+                window: window,
+                originalRect: { x: originalRect.x, y: originalRect.y, width: originalRect.width, height: originalRect.height }
+            };
+            this.#signals.connect(window, 'unmanaged', () => this.untrack(window));
+        }
+
+        // (re)insert the entry to keep the entries in the order they were snapped
+        this.#entries.delete(window);
+        this.#entries.set(window, entry);
+
+        entry.layout = layout;
+        entry.displayIdx = displayIdx;
+        entry.nodes = nodes;
+
+        // the regions the window covers are only known once it is snapped into its nodes
+        entry.regionNodes = null;
+
+        this.#onChanged();
+        return entry;
+    }
+
+    untrack(window) {
+        if (this.#entries.delete(window)) {
+            this.#signals.disconnect('unmanaged', window);
+            this.#onChanged();
+        }
+    }
+
+    get(window) {
+        return this.#entries.get(window) || null;
+    }
+
+    isTracked(window) {
+        return this.#entries.has(window);
+    }
+
+    // all tracking entries, in the order the windows were snapped
+    entries() {
+        return [...this.#entries.values()];
+    }
+
+    // the stack of windows snapped into the region of the leaf node, in the order they were snapped
+    windowsInRegion(node) {
+        return this.entries()
+            .filter(entry => entry.nodes.includes(node))
+            .map(entry => entry.window);
+    }
+}
+
+module.exports = { WindowTracker };
@@ -1,6 +1,7 @@
 // utility functions for windows
 
 const Main = imports.ui.main;
+const Meta = imports.gi.Meta;
 const Panel = imports.ui.panel;
 
 // get the screen area excluding the panels
@@ -43,30 +44,138 @@ function getUsableScreenArea(displayIdx) {
     return { x: left, y: top, width: width, height: height };
 }
 
-// Snap window to a node in the layout
-function snapToRect(metaWindow, rect) {
+// how a window that cannot fill its region exactly is aligned in the region
+const Alignment = {
+    CENTER: 'CENTER',
+    TOP_LEFT: 'TOP_LEFT'
+};
+
+// position a rectangle of the given size in the rectangle according to the alignment
+function alignRect(size, rect, alignment = Alignment.CENTER) {
+    if (alignment === Alignment.TOP_LEFT) {
+        return { x: rect.x, y: rect.y, width: size.width, height: size.height };
+    }
+
+    return {
+        x: rect.x + Math.round((rect.width - size.width) / 2),
+        y: rect.y + Math.round((rect.height - size.height) / 2),
+        width: size.width,
+        height: size.height
+    };
+}
+
+// the sizes that windows were seen to get when snapped. the size hints of a window are not
+// available through introspection, but the window manager keeps windows within their hints:
+// a window that ends up larger than requested reveals its minimum size, and a window that 
+// ends up smaller, e.g. a terminal sized in steps of its character cell, gets the same size 
+// again for the same request. the sizes are of the client window, see clientSize
+const observedSizes = new WeakMap();
+
+// the size of the client window for the frame size, i.e. the frame without the decorations,
+// or for windows with client-side decorations the buffer including their invisible borders
+function clientSize(metaWindow, size) {
+    const frameRect = metaWindow.get_frame_rect();
+    const clientRect = metaWindow.decorated ? metaWindow.frame_rect_to_client_rect(frameRect) : metaWindow.get_buffer_rect();
+    return {
+        width: size.width - (frameRect.width - clientRect.width),
+        height: size.height - (frameRect.height - clientRect.height)
+    };
+}
+
+// the length the client window gets for the requested length, as far as it was observed
+function constrainLength(length, observed, dimension) {
+    const snappedLength = observed.requestedSize[dimension] === length ? observed.snappedSize[dimension] : length;
+    return Math.max(snappedLength, observed.minSize[dimension]);
+}
+
+// the frame size the window gets for the requested frame size. windows that cannot be resized
+// keep their size, other windows are assumed to get the requested size unless observed otherwise
+function constrainSize(metaWindow, size) {
+    const frameRect = metaWindow.get_frame_rect();
+    if (!metaWindow.resizeable) {
+        return { width: frameRect.width, height: frameRect.height };
+    }
+
+    const observed = observedSizes.get(metaWindow);
+    if (!observed) {
+        return { width: size.width, height: size.height };
+    }
+
+    const requestedSize = clientSize(metaWindow, size);
+    return {
+        width: size.width + constrainLength(requestedSize.width, observed, 'width') - requestedSize.width,
+        height: size.height + constrainLength(requestedSize.height, observed, 'height') - requestedSize.height
+    };
+}
+
+// remember the size the window got when it was snapped to the rectangle with the target size
+function observeSnappedSize(metaWindow, rect, targetSize) {
+    const snappedSize = clientSize(metaWindow, metaWindow.get_frame_rect());
+    const targetClientSize = clientSize(metaWindow, targetSize);
+    const minSize = (observedSizes.get(metaWindow) || { minSize: { width: 0, height: 0 } }).minSize;
+
+    observedSizes.set(metaWindow, {
+        minSize: {
+            width: snappedSize.width > targetClientSize.width ? Math.max(minSize.width, snappedSize.width) : minSize.width,
+            height: snappedSize.height > targetClientSize.height ? Math.max(minSize.height, snappedSize.height) : minSize.height
+        },
+        requestedSize: clientSize(metaWindow, rect),
+        snappedSize: snappedSize
+    });
+}
+
+// predict the frame rectangle the window will get when it is snapped to the rectangle,
+// according to the sizes it was seen to get. windows that do not fill the rectangle are aligned in it
+function predictSnappedRect(metaWindow, rect, alignment = Alignment.CENTER) {
+    return alignRect(constrainSize(metaWindow, rect), rect, alignment);
+}
+
+// Snap window to a node in the layout. the window gets the size its size hints allow,
+// as far as they were observed, and is aligned in the rectangle when it does not fill it
+function snapToRect(metaWindow, rect, alignment = Alignment.CENTER) {
     if (!metaWindow || !rect) {
         global.logError('No metaWindow or rect');
         return;
     }
 
+    const maximized = metaWindow.get_maximized();
+    const targetRect = predictSnappedRect(metaWindow, rect, alignment);
+
     let clientRect = metaWindow.get_frame_rect();
     // Check if window is already at desired position and size
-    if (clientRect.x === rect.x &&
-        clientRect.y === rect.y &&
-        clientRect.width === rect.width &&
-        clientRect.height === rect.height) {
+    if (!maximized &&
+        clientRect.x === targetRect.x &&
+        clientRect.y === targetRect.y &&
+        clientRect.width === targetRect.width &&
+        clientRect.height === targetRect.height) {
         return;
     }
 
+    // maximized windows cannot be moved or resized
+    if (maximized) {
+        metaWindow.unmaximize(Meta.MaximizeFlags.BOTH);
+    }
+
     metaWindow.move_resize_frame(
         false,
-        rect.x, rect.y,
-        rect.width, rect.height);
+        targetRect.x, targetRect.y,
+        targetRect.width, targetRect.height);
+
+    observeSnappedSize(metaWindow, rect, targetRect);
+
+    // the size hints may not be observed yet or may have changed, e.g. a terminal with
+    // another font size. then the window gets another size, so it is aligned again
+    const snappedRect = metaWindow.get_frame_rect();
+    if (snappedRect.width !== targetRect.width || snappedRect.height !== targetRect.height) {
+        const alignedRect = alignRect(snappedRect, rect, alignment);
+        metaWindow.move_frame(false, alignedRect.x, alignedRect.y);
+    }
 }
 
 // Export the module
 module.exports = {
+    Alignment,
     getUsableScreenArea,
+    predictSnappedRect,
     snapToRect
 }; 
\ No newline at end of file